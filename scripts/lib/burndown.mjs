@@ -0,0 +1,54 @@
+import { eachDay, isoToday } from "./dates.mjs";
+
+// Sprint burndown of the PM server: how many tasks of a sprint were still open
+// at the end of each sprint day, reconstructed from data.history.
+
+// Tasks that belong(ed) to a sprint, including work carried over on close.
+export function getSprintTasks(data, sprint) {
+  const carried = sprint.carriedOver ?? [];
+  return data.tasks.filter(
+    (t) => t.sprintId === sprint.id || carried.includes(t.id)
+  );
+}
+
+// When the task appeared: its "create" history entry, or the sprint start
+// for tasks made before history was kept, whose day of joining the sprint is
+// unknown; counting them from the start keeps the chart level with the ideal
+// line, which takes the whole scope from day one.
+function existsSince(data, task, sprint) {
+  const created = (data.history ?? []).find(
+    (e) => e.taskId === task.id && e.action === "create"
+  );
+  return created?.at ?? sprint.startDate;
+}
+
+// Status the task had at `moment` (ISO timestamp), reconstructed from history:
+// the first status change after that moment tells what the status was before.
+// null means the task did not exist yet.
+function statusAt(data, task, sprint, moment) {
+  if (existsSince(data, task, sprint) > moment) return null;
+  const later = (data.history ?? []).find(
+    (e) => e.taskId === task.id && e.changes.status && e.at > moment
+  );
+  return later ? later.changes.status.from : task.status;
+}
+
+// [{ date, ideal, actual }] for every sprint day; actual is null for days
+// after `today` (or after the sprint was closed).
+export function buildBurndown(data, sprint, today = isoToday()) {
+  const tasks = getSprintTasks(data, sprint);
+  const days = eachDay(sprint.startDate, sprint.endDate);
+  const lastKnown = sprint.closedAt ?? today;
+  const steps = Math.max(days.length - 1, 1);
+
+  return days.map((date, i) => {
+    const ideal = Math.round(tasks.length * (1 - i / steps) * 10) / 10;
+    if (date > lastKnown) return { date, ideal, actual: null };
+    const moment = `${date}T23:59:59.999Z`;
+    const actual = tasks.filter((t) => {
+      const status = statusAt(data, t, sprint, moment);
+      return status !== null && status !== "done";
+    }).length;
+    return { date, ideal, actual };
+  });
+}
@@ -0,0 +1,34 @@
+// Calendar dates as "YYYY-MM-DD" strings in UTC, the form both servers store
+// deadlines, sprint bounds and report periods in.
+
+export function isValidDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+export function isoToday() {
+  return new Date().toISOString().split("T")[0];
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+// Every date from startDate to endDate inclusive.
+export function eachDay(startDate, endDate) {
+  const days = [];
+  const end = new Date(`${endDate}T00:00:00Z`);
+  for (
+    let day = new Date(`${startDate}T00:00:00Z`);
+    day <= end;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    days.push(day.toISOString().split("T")[0]);
+  }
+  return days;
+}
@@ -0,0 +1,138 @@
+// Unified diffs as data: [{ path, oldPath, status, binary, hunks }], where
+// each hunk is { header, lines: [{ type, text, oldLine, newLine }] } and type
+// is "+", "-" or " ". GitHub PR files and `git diff` output both end up here,
+// so review findings can be anchored to lines of the new version of a file.
+
+const HUNK_HEADER_RE = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+export function parseHunks(patch) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  for (const line of patch.split("\n")) {
+    const header = HUNK_HEADER_RE.exec(line);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[2]);
+      hunk = { header: line, lines: [] };
+      hunks.push(hunk);
+      continue;
+    }
+    // Skips "\ No newline at end of file" and anything before the first hunk
+    if (!hunk || line.startsWith("\\")) continue;
+    const type = line[0] ?? " ";
+    const text = line.slice(1);
+    if (type === "+") {
+      hunk.lines.push({ type, text, oldLine: null, newLine: newLine++ });
+    } else if (type === "-") {
+      hunk.lines.push({ type, text, oldLine: oldLine++, newLine: null });
+    } else if (type === " ") {
+      hunk.lines.push({ type, text, oldLine: oldLine++, newLine: newLine++ });
+    }
+  }
+  return hunks;
+}
+
+function unquote(path) {
+  return path.replace(/^"(.*)"$/, "$1");
+}
+
+// Output of `git diff` (without --color).
+export function parseUnifiedDiff(text) {
+  const files = [];
+  for (const section of text.split(/^(?=diff --git )/m)) {
+    if (!section.startsWith("diff --git ")) continue;
+    const lines = section.split("\n");
+    const names = /^diff --git a\/(.+) b\/(.+)$/.exec(lines[0]);
+    const file = {
+      path: names ? unquote(names[2]) : lines[0],
+      oldPath: names ? unquote(names[1]) : null,
+      status: "modified",
+      binary: false,
+      hunks: [],
+    };
+    const firstHunk = lines.findIndex((l) => l.startsWith("@@"));
+    const header = firstHunk === -1 ? lines : lines.slice(0, firstHunk);
+    for (const line of header) {
+      if (line.startsWith("new file mode")) file.status = "added";
+      else if (line.startsWith("deleted file mode")) file.status = "removed";
+      else if (line.startsWith("rename from")) file.status = "renamed";
+      else if (line.startsWith("Binary files")) file.binary = true;
+      else if (line.startsWith("+++ b/")) file.path = unquote(line.slice(6));
+    }
+    if (firstHunk !== -1) {
+      file.hunks = parseHunks(lines.slice(firstHunk).join("\n"));
+    }
+    files.push(file);
+  }
+  return files;
+}
+
+// Items of the GitHub "list pull request files" response. The patch is
+// missing for binary files and for diffs GitHub considers too large.
+export function filesFromGithub(items) {
+  return items.map((item) => ({
+    path: item.filename,
+    oldPath: item.previous_filename ?? item.filename,
+    status: item.status,
+    binary: item.patch === undefined && item.changes === 0,
+    ...(item.patch === undefined &&
+      item.changes > 0 && { patchUnavailable: true }),
+    hunks: item.patch ? parseHunks(item.patch) : [],
+  }));
+}
+
+// The diff as shown to the LLM: new-file line numbers in front of every line
+// that exists in the new version, so findings can name exact lines.
+export function formatForReview(files) {
+  return files
+    .map((file) => {
+      let title = `### ${file.path}`;
+      if (file.status === "renamed") {
+        title += ` (переименован из ${file.oldPath})`;
+      }
+      if (file.status === "removed") title += " (удалён)";
+      if (file.binary) title += " (бинарный)";
+      if (file.part) title += ` (часть ${file.part})`;
+      const body = file.hunks.map((hunk) =>
+        [
+          hunk.header,
+          ...hunk.lines.map(
+            (l) => `${String(l.newLine ?? "").padStart(5)} ${l.type} ${l.text}`
+          ),
+        ].join("\n")
+      );
+      return [title, ...body].join("\n");
+    })
+    .join("\n\n");
+}
+
+// Where a finding on `line` of `path` can be shown as an inline comment: the
+// line itself if it is part of the diff, else the nearest line of the hunk
+// that contains it; null when the line lies outside every hunk.
+export function anchorLine(files, path, line) {
+  const file = files.find((f) => f.path === path);
+  if (!file || !Number.isInteger(line)) return null;
+  for (const hunk of file.hunks) {
+    const lines = hunk.lines.filter((l) => l.newLine !== null);
+    if (lines.length === 0) continue;
+    const first = lines[0].newLine;
+    const last = lines[lines.length - 1].newLine;
+    if (line < first || line > last) continue;
+    return lines.reduce((best, l) =>
+      Math.abs(l.newLine - line) < Math.abs(best.newLine - line) ? l : best
+    ).newLine;
+  }
+  return null;
+}
+
+// Text of `line` in the new version of `path`, if the diff shows it
+export function lineText(files, path, line) {
+  const file = files.find((f) => f.path === path);
+  for (const hunk of file?.hunks ?? []) {
+    const found = hunk.lines.find((l) => l.newLine === line);
+    if (found) return found.text;
+  }
+  return null;
+}
@@ -0,0 +1,271 @@
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { basename } from "node:path";
+import {
+  cosine as termCosine,
+  createBm25Index,
+  tfIdfVectors,
+} from "./text-search.mjs";
+
+// Doc chunks for the review prompt. Chunks are embedded with Ollama, like the
+// Kotlin assistants do, and cached in an index file of the same format as
+// their index.json: [{ source, chunkIndex, text, embedding }], plus the
+// `model` every embedding came from. Without an
+// embedder the chunks are ranked with BM25 instead. Either way the final pick
+// goes through MMR, so the context is not filled with overlapping chunks of
+// one section.
+export const EMBEDDING_PROVIDERS = ["ollama", "none"];
+
+const EMBED_TIMEOUT_MS = 60 * 1000;
+const EMBED_BATCH_SIZE = 32;
+
+const CHUNK_SIZE = 500;
+const CHUNK_OVERLAP = 50;
+
+// Chunks below this cosine similarity to the query are not used, the same
+// threshold the release notes generator applies
+const MIN_COSINE = 0.3;
+// BM25 scores are not bounded, so weak hits are cut relative to the best one
+const MIN_BM25_RELEVANCE = 0.2;
+// MMR trade-off between relevance to the query (1) and novelty (0)
+const MMR_LAMBDA = 0.7;
+
+// ---- Embedder ----
+export function createEmbedder({
+  provider = "ollama",
+  model = "nomic-embed-text",
+  baseUrl = "http://localhost:11434",
+}) {
+  if (!EMBEDDING_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown embedding provider "${provider}", expected one of: ${EMBEDDING_PROVIDERS.join(", ")}`
+    );
+  }
+  if (provider === "none") return null;
+  const url = `${baseUrl.replace(/\/+$/, "")}/api/embed`;
+
+  // texts → one vector per text
+  async function embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      const input = texts.slice(i, i + EMBED_BATCH_SIZE);
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, input }),
+        signal: AbortSignal.timeout(EMBED_TIMEOUT_MS),
+      });
+      const body = await response.text();
+      if (!response.ok) {
+        throw new Error(
+          `Ollama returned HTTP ${response.status}: ${body.slice(0, 300)}`
+        );
+      }
+      const { embeddings } = JSON.parse(body);
+      if (!Array.isArray(embeddings) || embeddings.length !== input.length) {
+        throw new Error(
+          `Ollama returned ${embeddings?.length ?? 0} embeddings for ${input.length} texts`
+        );
+      }
+      vectors.push(...embeddings);
+    }
+    return vectors;
+  }
+
+  return { provider, model, embed };
+}
+
+// ---- Chunks ----
+// Same as splitIntoChunks in Main.kt, so entries of the Kotlin indexes match
+export function splitIntoChunks(
+  text,
+  size = CHUNK_SIZE,
+  overlap = CHUNK_OVERLAP
+) {
+  const trimmed = text.trim();
+  if (trimmed.length <= size) return [trimmed];
+  const chunks = [];
+  for (let start = 0; start < trimmed.length; start += size - overlap) {
+    chunks.push(trimmed.slice(start, start + size));
+  }
+  return chunks;
+}
+
+// Docs as the review sources return them: "--- <path> ---" before each file
+export function docChunks(docs) {
+  const parts = docs.split(/^--- (.+) ---$/m);
+  const chunks = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    const source = basename(parts[i]);
+    splitIntoChunks(parts[i + 1]).forEach((text, chunkIndex) => {
+      if (text) chunks.push({ source, chunkIndex, text });
+    });
+  }
+  return chunks;
+}
+
+// ---- Index ----
+function denseCosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB) || 1);
+}
+
+function readIndexFile(indexPath) {
+  if (!existsSync(indexPath)) return [];
+  try {
+    const entries = JSON.parse(readFileSync(indexPath, "utf-8"));
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn(`Ignoring unreadable index ${indexPath}: ${err.message}`);
+    return [];
+  }
+}
+
+// Embeddings of `chunks`, reusing the ones in the index file whose text is
+// unchanged and that come from the same model: vectors of another model are
+// not comparable, even when they have the same dimension. Entries without a
+// model (e.g. of the Kotlin indexes) are embedded again. The file is
+// rewritten when anything had to be embedded, with the entries of docs that
+// are gone left out.
+async function loadEmbeddings(chunks, embedder, indexPath) {
+  const entries = readIndexFile(indexPath).filter(
+    (e) => typeof e.text === "string" && Array.isArray(e.embedding)
+  );
+  const cached = new Map(
+    entries
+      .filter((e) => e.model === embedder.model)
+      .map((e) => [e.text, e.embedding])
+  );
+  if (cached.size < entries.length) {
+    console.log(
+      `Doc index ${indexPath}: ${entries.length - cached.size} entries of another embedding model, embedding them again with ${embedder.model}`
+    );
+  }
+  const missing = chunks.filter((c) => !cached.has(c.text));
+  const fresh = await embedder.embed(missing.map((c) => c.text));
+  missing.forEach((chunk, i) => cached.set(chunk.text, fresh[i]));
+
+  const vectors = chunks.map((c) => cached.get(c.text));
+  if (missing.length > 0) {
+    const updated = chunks.map((chunk, i) => ({
+      ...chunk,
+      model: embedder.model,
+      embedding: vectors[i],
+    }));
+    writeFileSync(indexPath, JSON.stringify(updated, null, 2));
+  }
+  console.log(
+    `Doc index ${indexPath}: ${chunks.length} chunks, ${chunks.length - missing.length} cached, ${missing.length} embedded with ${embedder.model}`
+  );
+  return vectors;
+}
+
+// Maximal marginal relevance: repeatedly takes the candidate that is most
+// relevant to the query and least similar to what is already taken, while
+// the texts fit into maxChars.
+function selectMmr(candidates, similarity, maxChars) {
+  const selected = [];
+  const remaining = [...candidates];
+  let length = 0;
+  while (remaining.length > 0) {
+    let best = null;
+    for (const candidate of remaining) {
+      const redundancy = Math.max(
+        0,
+        ...selected.map((s) => similarity(candidate.id, s.id))
+      );
+      const mmr =
+        MMR_LAMBDA * candidate.relevance - (1 - MMR_LAMBDA) * redundancy;
+      if (!best || mmr > best.mmr) best = { ...candidate, mmr };
+    }
+    remaining.splice(remaining.findIndex((c) => c.id === best.id), 1);
+    if (length + best.text.length > maxChars) continue;
+    length += best.text.length;
+    selected.push(best);
+  }
+  return selected;
+}
+
+// Returns { method, search(query, { maxChars }) }. search resolves to
+// { method, chunks: [{ source, chunkIndex, text, score, mmr }] }, where score
+// is the cosine similarity or the BM25 score of the chunk.
+export async function openDocIndex({ docs, embedder, indexPath }) {
+  const chunks = docChunks(docs);
+  const lexicalDocs = chunks.map((c, id) => ({ id, fields: { text: c.text } }));
+  const bm25 = createBm25Index(lexicalDocs);
+  const termVectors = tfIdfVectors(lexicalDocs);
+
+  let vectors = null;
+  if (embedder && chunks.length > 0) {
+    try {
+      vectors = await loadEmbeddings(chunks, embedder, indexPath);
+    } catch (err) {
+      console.warn(`Embeddings unavailable (${err.message}), using BM25`);
+    }
+  }
+
+  function result(method, candidates, similarity, maxChars) {
+    return {
+      method,
+      chunks: selectMmr(candidates, similarity, maxChars).map((c) => ({
+        ...chunks[c.id],
+        score: c.score,
+        mmr: c.mmr,
+      })),
+    };
+  }
+
+  function searchBm25(query, maxChars) {
+    const hits = bm25.search(query);
+    const top = hits[0]?.score || 1;
+    const candidates = hits
+      .map(({ id, score }) => ({
+        id,
+        text: chunks[id].text,
+        score,
+        relevance: score / top,
+      }))
+      .filter((c) => c.relevance >= MIN_BM25_RELEVANCE);
+    return result(
+      "bm25",
+      candidates,
+      (a, b) => termCosine(termVectors.get(a), termVectors.get(b)),
+      maxChars
+    );
+  }
+
+  async function search(query, { maxChars }) {
+    if (!vectors) return searchBm25(query, maxChars);
+    let queryVector;
+    try {
+      [queryVector] = await embedder.embed([query]);
+    } catch (err) {
+      console.warn(`Query embedding failed (${err.message}), using BM25`);
+      return searchBm25(query, maxChars);
+    }
+    const candidates = vectors
+      .map((vector, id) => {
+        const score = denseCosine(queryVector, vector);
+        return { id, text: chunks[id].text, score, relevance: score };
+      })
+      .filter((c) => c.score >= MIN_COSINE);
+    return result(
+      "embeddings",
+      candidates,
+      (a, b) => denseCosine(vectors[a], vectors[b]),
+      maxChars
+    );
+  }
+
+  return {
+    method: vectors ? "embeddings" : "bm25",
+    size: chunks.length,
+    search,
+  };
+}
@@ -0,0 +1,122 @@
+import { randomUUID } from "node:crypto";
+import {
+  linkSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from "node:fs";
+
+const LOCK_TIMEOUT_MS = 5000;
+
+// A cross-process lock held as an exclusively created file. The owner writes
+// its pid and a token of this acquisition into it: a lock whose pid is gone
+// is broken by the next process that needs it, and a process only ever
+// removes the lock file that still carries its own token.
+export function createFileLock(
+  lockPath,
+  { timeoutMs = LOCK_TIMEOUT_MS } = {}
+) {
+  function readLock(path) {
+    try {
+      return JSON.parse(readFileSync(path, "utf-8"));
+    } catch {
+      // Missing, or created and not written yet
+      return null;
+    }
+  }
+
+  // The lock file is written in full under a temp name and then linked into
+  // place, which fails if the lock exists. A crash can leave the temp file
+  // behind, but never a lock without an owner in it.
+  function tryAcquireLock(token) {
+    const tmpPath = `${lockPath}.${token}.tmp`;
+    writeFileSync(
+      tmpPath,
+      JSON.stringify({ pid: process.pid, token, at: Date.now() })
+    );
+    try {
+      linkSync(tmpPath, lockPath);
+      return true;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      const owner = readLock(lockPath);
+      if (owner ? !isAlive(owner.pid) : isAbandoned()) breakLock(owner?.token);
+      return false;
+    } finally {
+      rmSync(tmpPath, { force: true });
+    }
+  }
+
+  // A lock file without a readable owner (one that was created and then
+  // written, by an older version of this module that crashed in between) is
+  // given up once nobody could still be about to write it.
+  function isAbandoned() {
+    try {
+      return Date.now() - statSync(lockPath).mtimeMs > timeoutMs;
+    } catch {
+      return false;
+    }
+  }
+
+  // A lock is stale only when its owner is gone, however long it is held
+  function isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (err) {
+      // EPERM: the process exists but belongs to another user
+      return err.code !== "ESRCH";
+    }
+  }
+
+  // The lock file is first moved aside, so only one of the processes that
+  // found it stale gets it. If another process managed to break it and take a
+  // fresh lock in between, that lock is what was moved, and it is put back.
+  function breakLock(staleToken) {
+    const asidePath = `${lockPath}.${randomUUID()}.stale`;
+    try {
+      renameSync(lockPath, asidePath);
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    if (readLock(asidePath)?.token !== staleToken) {
+      try {
+        linkSync(asidePath, lockPath);
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+    }
+    rmSync(asidePath, { force: true });
+  }
+
+  function releaseLock(token) {
+    if (readLock(lockPath)?.token === token) rmSync(lockPath, { force: true });
+  }
+
+  // Runs fn while holding the lock, so that read-modify-write cycles of
+  // different processes do not interleave.
+  async function withLock(fn) {
+    const token = randomUUID();
+    const deadline = Date.now() + timeoutMs;
+    while (!tryAcquireLock(token)) {
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Не удалось получить блокировку ${lockPath} за ${timeoutMs} мс: файл занят другим процессом`
+        );
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, 20 + Math.random() * 30)
+      );
+    }
+    try {
+      return await fn();
+    } finally {
+      releaseLock(token);
+    }
+  }
+
+  return { withLock };
+}
@@ -0,0 +1,52 @@
+import {
+  closeSync,
+  fsyncSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  watch as watchDirectory,
+  writeSync,
+} from "node:fs";
+import { basename, dirname } from "node:path";
+import { createFileLock } from "./file-lock.mjs";
+
+const WATCH_DEBOUNCE_MS = 100;
+
+// A JSON file used as a small database by the MCP servers. Several server
+// processes (one per MCP client) may share the file, so writes go through a
+// temp file + rename and read-modify-write cycles run under a lock file.
+export function createJsonStore(path) {
+  const { withLock } = createFileLock(`${path}.lock`);
+
+  function load() {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  }
+
+  // Readers and crashes only ever see the old or the new file, never a
+  // truncated one.
+  function save(data) {
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    const fd = openSync(tmpPath, "w");
+    try {
+      writeSync(fd, JSON.stringify(data, null, 2));
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmpPath, path);
+  }
+
+  // Calls onChange (debounced) whenever the file is rewritten by this or any
+  // other process. The directory is watched rather than the file because
+  // save() replaces the file by rename.
+  function watch(onChange) {
+    let timer = null;
+    watchDirectory(dirname(path), (eventType, filename) => {
+      if (filename !== basename(path)) return;
+      clearTimeout(timer);
+      timer = setTimeout(onChange, WATCH_DEBOUNCE_MS);
+    }).unref();
+  }
+
+  return { backend: "json", path, load, save, withLock, watch };
+}
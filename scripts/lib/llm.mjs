@@ -0,0 +1,112 @@
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+
+// Chat-completion backends for the review client. Each provider has
+// chat(messages) → response text, where messages are OpenAI-style
+// { role, content } objects.
+//   deepseek  api.deepseek.com, needs DEEPSEEK_API_KEY (or apiKey)
+//   openai    any OpenAI-compatible endpoint at baseUrl, apiKey optional
+//   ollama    a local Ollama through its OpenAI-compatible API
+//   mock      canned responses from fixture files, no network
+export const LLM_PROVIDERS = ["deepseek", "openai", "ollama", "mock"];
+
+const REQUEST_TIMEOUT_MS = 120 * 1000;
+
+const DEFAULTS = {
+  deepseek: { baseUrl: "https://api.deepseek.com/v1", model: "deepseek-chat" },
+  openai: {},
+  ollama: { baseUrl: "http://localhost:11434/v1" },
+  mock: { model: "fixture" },
+};
+
+export function createLlmProvider(config) {
+  const { provider } = config;
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown LLM provider "${provider}", expected one of: ${LLM_PROVIDERS.join(", ")}`
+    );
+  }
+  const settings = { ...DEFAULTS[provider], ...definedOnly(config) };
+  if (!settings.model) {
+    throw new Error(`LLM model is required for provider "${provider}"`);
+  }
+  if (provider === "mock") return createMockProvider(settings);
+
+  if (!settings.baseUrl) {
+    throw new Error(`LLM base URL is required for provider "${provider}"`);
+  }
+  if (provider === "deepseek" && !settings.apiKey) {
+    throw new Error("DEEPSEEK_API_KEY is required for the deepseek provider");
+  }
+  return createOpenAiCompatibleProvider(settings);
+}
+
+function definedOnly(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+function createOpenAiCompatibleProvider({
+  provider,
+  baseUrl,
+  apiKey,
+  model,
+  temperature,
+}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function chat(messages) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const body = await response.text();
+    if (!response.ok) {
+      throw new Error(
+        `${provider} returned HTTP ${response.status}: ${body.slice(0, 500)}`
+      );
+    }
+    const content = JSON.parse(body).choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error(`${provider} returned no content: ${body.slice(0, 500)}`);
+    }
+    return content;
+  }
+
+  return { provider, model, temperature, chat };
+}
+
+// Deterministic stand-in for offline runs. A request is answered from
+// <fixturesDir>/<key>.txt, where key is a hash of the messages (logged, so a
+// fixture for a particular request is easy to add), or from default.txt.
+function createMockProvider({ model, fixturesDir }) {
+  async function chat(messages) {
+    const key = createHash("sha256")
+      .update(JSON.stringify(messages))
+      .digest("hex")
+      .slice(0, 16);
+    for (const name of [`${key}.txt`, "default.txt"]) {
+      const path = join(fixturesDir, name);
+      if (existsSync(path)) {
+        console.log(`Mock LLM: request ${key} answered from ${path}`);
+        return readFileSync(path, "utf-8");
+      }
+    }
+    throw new Error(
+      `Mock LLM: no fixture for request ${key} in ${fixturesDir} (add ${key}.txt or default.txt)`
+    );
+  }
+
+  return { provider: "mock", model, temperature: undefined, chat };
+}
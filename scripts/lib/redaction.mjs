@@ -0,0 +1,123 @@
+// PII redaction for text that leaves the MCP servers (and usually ends up in
+// an external LLM prompt). Two modes besides "off":
+//   mask          — every match becomes a fixed placeholder;
+//   pseudonymize  — every distinct value gets a numbered pseudonym that stays
+//                   the same for the lifetime of the redactor (one session), so
+//                   the assistant can still tell entities apart.
+
+export const REDACTION_MODES = ["off", "mask", "pseudonymize"];
+export const REDACTION_CATEGORIES = ["emails", "phones", "api_keys", "names"];
+
+const PATTERNS = {
+  emails: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu,
+  // Russian style 3-3-2-2 (with +7 or 8 in front) and international 3-3-4;
+  // dates and times never have these group lengths.
+  phones:
+    /(?<![\w+])(?:(?:\+\d{1,3}|8)[\s-]?)?(?:\(\d{3}\)|\d{3})[\s-]?\d{3}(?:[\s-]?\d{2}[\s-]?\d{2}|[\s-]?\d{4})(?![\w-])/g,
+  api_keys: /\bsk-[A-Za-z0-9_-]{8,}/g,
+};
+
+const MASKS = {
+  emails: "[email скрыт]",
+  phones: "[телефон скрыт]",
+  api_keys: "[ключ скрыт]",
+  names: "[имя скрыто]",
+};
+
+const PSEUDONYMS = {
+  emails: (n) => `user${n}@redacted.invalid`,
+  phones: (n) => `[телефон-${n}]`,
+  api_keys: (n) => `[ключ-${n}]`,
+  names: (n) => `Клиент-${n}`,
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// people() returns [{ id, name }] of everybody whose name must be hidden; it
+// is called on every redaction so that reloaded data is picked up.
+export function createRedactor({ mode = "off", categories, people = () => [] }) {
+  const enabled = new Set(categories ?? REDACTION_CATEGORIES);
+  const pseudonyms = Object.fromEntries(
+    REDACTION_CATEGORIES.map((c) => [c, new Map()])
+  );
+
+  function replacement(category, key) {
+    if (mode === "mask") return MASKS[category];
+    const known = pseudonyms[category];
+    if (!known.has(key)) {
+      known.set(key, PSEUDONYMS[category](known.size + 1));
+    }
+    return known.get(key);
+  }
+
+  // Full names first, then the separate first and last names, also with a
+  // short case ending ("Петрову", "Марии"). Parts under 4 letters match only
+  // as they are: with the ending "Лев" would also take "Лето".
+  let namesSource = null;
+  let namePatterns = [];
+  function getNamePatterns() {
+    const list = people();
+    if (list !== namesSource) {
+      namesSource = list;
+      const full = [];
+      const parts = [];
+      for (const { id: key, name } of list) {
+        if (!name) continue;
+        full.push({ key, re: new RegExp(escapeRegExp(name), "gu") });
+        for (const part of name.split(/\s+/)) {
+          if (part.length < 3) continue;
+          const stem =
+            part.length < 4
+              ? escapeRegExp(part)
+              : `${escapeRegExp(part.slice(0, -1))}\\p{L}{0,3}`;
+          parts.push({
+            key,
+            re: new RegExp(`(?<![\\p{L}])${stem}(?![\\p{L}])`, "gu"),
+          });
+        }
+      }
+      namePatterns = [...full, ...parts];
+    }
+    return namePatterns;
+  }
+
+  function redactText(text) {
+    if (mode === "off" || typeof text !== "string") return text;
+    let result = text;
+    for (const [category, re] of Object.entries(PATTERNS)) {
+      if (!enabled.has(category)) continue;
+      result = result.replace(re, (match) =>
+        replacement(category, match.toLowerCase())
+      );
+    }
+    if (enabled.has("names")) {
+      for (const { key, re } of getNamePatterns()) {
+        result = result.replace(re, () => replacement("names", key));
+      }
+    }
+    return result;
+  }
+
+  // Redacts every string in a JSON-like value, object keys included. Values
+  // are redacted before they are serialized: in JSON text an escape such as
+  // "\n" sticks to the next word, so patterns would miss it, and a
+  // replacement could leave a broken escape behind.
+  function redactValue(value) {
+    if (mode === "off") return value;
+    if (typeof value === "string") return redactText(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          redactText(key),
+          redactValue(item),
+        ])
+      );
+    }
+    return value;
+  }
+
+  return { mode, enabled: mode !== "off", redactText, redactValue };
+}
@@ -0,0 +1,95 @@
+import {
+  ErrorCode,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+// JSON-RPC code the MCP spec reserves for unknown resource URIs
+const RESOURCE_NOT_FOUND = -32002;
+
+export function resourceNotFound(uri) {
+  return new McpError(RESOURCE_NOT_FOUND, `Ресурс не найден: ${uri}`, {
+    uri,
+  });
+}
+
+// resources/list returns this many resources per page
+const RESOURCE_PAGE_SIZE = 50;
+
+// One page of `entries` for a list request; the cursor is the offset of the
+// page, opaque to clients. Entries are functions that build the resource
+// descriptor, so only the ones on the page are built.
+export function paginate(entries, cursor, pageSize = RESOURCE_PAGE_SIZE) {
+  let offset = 0;
+  if (cursor !== undefined) {
+    offset = Number(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (!Number.isInteger(offset) || offset < 0 || offset > entries.length) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Некорректный курсор: ${cursor}`
+      );
+    }
+  }
+  const end = offset + pageSize;
+  return {
+    resources: entries.slice(offset, end).map((describe) => describe()),
+    ...(end < entries.length && {
+      nextCursor: Buffer.from(String(end)).toString("base64url"),
+    }),
+  };
+}
+
+// Handles resources/subscribe and resources/unsubscribe for every attached
+// server instance (one per client session). notifyChanged() re-reads each
+// subscribed resource through readText(uri) and sends
+// notifications/resources/updated only where the content changed (or the
+// resource no longer exists).
+export function createSubscriptions(readText) {
+  const servers = new Map();
+
+  function safeRead(uri) {
+    try {
+      return readText(uri);
+    } catch {
+      return null;
+    }
+  }
+
+  function attach(server) {
+    const subscriptions = new Map();
+    servers.set(server, subscriptions);
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      subscriptions.set(request.params.uri, safeRead(request.params.uri));
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscriptions.delete(request.params.uri);
+      return {};
+    });
+
+    const onclose = server.onclose;
+    server.onclose = () => {
+      servers.delete(server);
+      onclose?.();
+    };
+  }
+
+  function notifyChanged() {
+    const current = new Map();
+    for (const [server, subscriptions] of servers) {
+      for (const [uri, previous] of subscriptions) {
+        if (!current.has(uri)) current.set(uri, safeRead(uri));
+        if (current.get(uri) === previous) continue;
+        subscriptions.set(uri, current.get(uri));
+        server.sendResourceUpdated({ uri }).catch((err) => {
+          console.error(`Failed to notify about ${uri}: ${err.message}`);
+        });
+      }
+    }
+  }
+
+  return { attach, notifyChanged };
+}
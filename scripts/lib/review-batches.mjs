@@ -0,0 +1,139 @@
+import { formatForReview } from "./diff.mjs";
+
+// Splits the parsed diff (see diff.mjs) into batches that fit the LLM prompt,
+// so a large pull request is reviewed in full instead of being cut off.
+// Files are packed whole while they fit; a file bigger than one batch is split
+// between its hunks. Files that are not worth sending, and single hunks too
+// big for the prompt, come back as skipped.
+
+// Rough estimate for code and Russian text, good enough for budgeting
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 3);
+}
+
+const GENERATED_PATH_RES = [
+  /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|gradle\.lockfile)$/,
+  /(^|\/)(build|dist|out|generated|node_modules)\//,
+  /\.min\.(js|css)$/,
+  /\.(map|snap)$/,
+];
+const GENERATED_MARKER_RE = /@generated|DO NOT EDIT|auto-?generated/i;
+
+function isGenerated(file) {
+  if (GENERATED_PATH_RES.some((re) => re.test(file.path))) return true;
+  // Generators put their marker at the very top of the file
+  const head = file.hunks[0];
+  return Boolean(
+    head?.lines.some(
+      (l) =>
+        l.newLine !== null && l.newLine <= 5 && GENERATED_MARKER_RE.test(l.text)
+    )
+  );
+}
+
+function skipReason(file) {
+  if (file.binary) return "бинарный файл";
+  if (file.patchUnavailable) {
+    return "GitHub не отдаёт diff: изменение слишком большое";
+  }
+  if (isGenerated(file)) return "сгенерированный файл";
+  if (file.status === "removed") return "файл удалён";
+  if (file.hunks.length === 0) return "нет изменённых строк";
+  return null;
+}
+
+// "строки 120–180" of the new version of the file
+function hunkRange(hunk) {
+  const lines = hunk.lines.map((l) => l.newLine).filter((n) => n !== null);
+  if (lines.length === 0) return hunk.header;
+  return `строки ${lines[0]}–${lines[lines.length - 1]}`;
+}
+
+// Returns { batches, skipped }: every batch is a list of files (possibly with
+// only some of their hunks, marked with `part`) and skipped is
+// [{ path, reason }]. maxFileTokens caps a single hunk: one that is bigger is
+// left out, the rest of its file is still reviewed.
+export function planBatches(files, { batchTokens, maxFileTokens }) {
+  const batches = [];
+  const skipped = [];
+  let current = [];
+  let currentTokens = 0;
+
+  function flush() {
+    if (current.length > 0) batches.push(current);
+    current = [];
+    currentTokens = 0;
+  }
+
+  function add(file, tokens) {
+    if (currentTokens + tokens > batchTokens) flush();
+    current.push(file);
+    currentTokens += tokens;
+  }
+
+  for (const file of files) {
+    const reason = skipReason(file);
+    if (reason) {
+      skipped.push({ path: file.path, reason });
+      continue;
+    }
+    const tokens = estimateTokens(formatForReview([file]));
+    if (tokens <= Math.min(batchTokens, maxFileTokens)) {
+      add(file, tokens);
+      continue;
+    }
+
+    // Consecutive hunks that fit together form one part of the file. A single
+    // hunk over the budget still gets a batch of its own, unless it is over
+    // maxFileTokens too.
+    const parts = [];
+    let hunks = [];
+    let partTokens = 0;
+    for (const hunk of file.hunks) {
+      const hunkTokens = estimateTokens(
+        formatForReview([{ ...file, hunks: [hunk] }])
+      );
+      if (hunkTokens > maxFileTokens) {
+        skipped.push({
+          path: `${file.path} (${hunkRange(hunk)})`,
+          reason: `слишком большой фрагмент diff: ~${hunkTokens} токенов при лимите ${maxFileTokens}`,
+        });
+        continue;
+      }
+      if (hunks.length > 0 && partTokens + hunkTokens > batchTokens) {
+        parts.push(hunks);
+        hunks = [];
+        partTokens = 0;
+      }
+      hunks.push(hunk);
+      partTokens += hunkTokens;
+    }
+    if (hunks.length > 0) parts.push(hunks);
+    parts.forEach((partHunks, i) => {
+      const part = {
+        ...file,
+        hunks: partHunks,
+        ...(parts.length > 1 && { part: `${i + 1}/${parts.length}` }),
+      };
+      add(part, estimateTokens(formatForReview([part])));
+    });
+  }
+  flush();
+  return { batches, skipped };
+}
+
+// Like Promise.all(items.map(fn)), but with at most `limit` calls in flight.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
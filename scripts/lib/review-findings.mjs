@@ -0,0 +1,161 @@
+import { createHash } from "node:crypto";
+
+// Structured review output. The LLM answers with JSON:
+//   { "summary": "...", "findings": [{ file, line, severity, rule, message }] }
+// and everything after that (inline comments, the summary comment, stdout)
+// is rendered from the parsed findings.
+export const SEVERITIES = ["error", "warning", "info"];
+
+const SEVERITY_LABELS = {
+  error: "🔴 Ошибка",
+  warning: "🟡 Предупреждение",
+  info: "🔵 Совет",
+};
+
+export const RESPONSE_FORMAT = `Ответь только JSON-объектом без пояснений вокруг него:
+{
+  "summary": "общая оценка изменений в 1–3 предложениях (Markdown)",
+  "findings": [
+    {
+      "file": "путь к файлу, как в заголовке ### diff",
+      "line": номер строки новой версии файла из левой колонки diff,
+      "severity": "${SEVERITIES.join('" | "')}",
+      "rule": "короткое название нарушенного правила или категории, например \\"Именование\\" или \\"Потенциальный баг\\"",
+      "message": "суть проблемы и как исправить (Markdown, по-русски)"
+    }
+  ]
+}
+Указывай только строки, которые есть в diff. Если замечаний нет, верни пустой массив findings.`;
+
+// The model may wrap the JSON in a ```json fence or add text around it.
+function extractJson(text) {
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)\n```/.exec(text);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf("{");
+  const end = candidate.lastIndexOf("}");
+  if (start === -1 || end < start) return null;
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+// Returns { summary, findings, rejected }. A response that is not JSON at
+// all becomes the summary, so a free-form review is still shown.
+export function parseReviewResponse(text) {
+  const parsed = extractJson(text);
+  if (!parsed || typeof parsed !== "object") {
+    return { summary: text.trim(), findings: [], rejected: 0 };
+  }
+  const findings = [];
+  let rejected = 0;
+  for (const item of Array.isArray(parsed.findings) ? parsed.findings : []) {
+    const line = Number(item?.line);
+    if (
+      typeof item?.file !== "string" ||
+      !item.file.trim() ||
+      typeof item.message !== "string" ||
+      !item.message.trim()
+    ) {
+      rejected++;
+      continue;
+    }
+    findings.push({
+      file: item.file.trim().replace(/^[ab]\//, ""),
+      line: Number.isInteger(line) && line > 0 ? line : null,
+      severity: SEVERITIES.includes(item.severity) ? item.severity : "info",
+      rule: typeof item.rule === "string" ? item.rule.trim() : "",
+      message: item.message.trim(),
+    });
+  }
+  return {
+    summary: typeof parsed.summary === "string" ? parsed.summary.trim() : "",
+    findings,
+    rejected,
+  };
+}
+
+// Stable across runs for the same problem, so a finding that is already
+// commented on is not posted again after the next push.
+export function fingerprint(finding) {
+  return createHash("sha256")
+    .update([finding.file, finding.rule, finding.message].join("\n"))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// One result out of the per-batch results of a chunked review. The same
+// finding may come from several batches, e.g. a file-level remark on a file
+// whose hunks were split.
+export function mergeResults(results) {
+  const seen = new Set();
+  const findings = [];
+  for (const result of results) {
+    for (const finding of result.findings) {
+      const key = `${fingerprint(finding)}:${finding.line ?? ""}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      findings.push(finding);
+    }
+  }
+  const summaries = [
+    ...new Set(results.map((r) => r.summary).filter(Boolean)),
+  ];
+  return {
+    summary:
+      summaries.length > 1
+        ? summaries.map((s) => `- ${s.replace(/\n/g, "\n  ")}`).join("\n")
+        : summaries[0] ?? "",
+    findings,
+    rejected: results.reduce((sum, r) => sum + r.rejected, 0),
+  };
+}
+
+export function bySeverity(a, b) {
+  return (
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    (a.line ?? 0) - (b.line ?? 0)
+  );
+}
+
+export function findingTitle(finding, { withLocation = true } = {}) {
+  let title = SEVERITY_LABELS[finding.severity];
+  if (finding.rule) title += ` · ${finding.rule}`;
+  if (withLocation) {
+    const location = finding.line
+      ? `${finding.file}:${finding.line}`
+      : finding.file;
+    title += ` — \`${location}\``;
+  }
+  return title;
+}
+
+// Markdown report for stdout, the step summary and the PR summary comment.
+// `skipped` lists files and parts of files that were not reviewed:
+// [{ path, reason }].
+export function renderReport({ summary, findings, skipped = [] }) {
+  const counts = SEVERITIES.map((s) => [
+    s,
+    findings.filter((f) => f.severity === s).length,
+  ]).filter(([, n]) => n > 0);
+  const lines = [];
+  if (summary) lines.push(summary, "");
+  lines.push(
+    findings.length === 0
+      ? "Замечаний нет."
+      : `Замечаний: ${findings.length} (${counts.map(([s, n]) => `${SEVERITY_LABELS[s]}: ${n}`).join(", ")})`
+  );
+  for (const finding of [...findings].sort(bySeverity)) {
+    const message = finding.message.replace(/\n/g, "\n  ");
+    lines.push("", `- **${findingTitle(finding)}**\n  ${message}`);
+  }
+  if (skipped.length > 0) {
+    lines.push("", `Не проверено: ${skipped.length}`, "");
+    for (const { path, reason } of skipped) {
+      lines.push(`- \`${path}\` — ${reason}`);
+    }
+  }
+  return lines.join("\n");
+}
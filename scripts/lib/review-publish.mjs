@@ -0,0 +1,209 @@
+import { createHash } from "node:crypto";
+import { anchorLine, lineText } from "./diff.mjs";
+import { fingerprint, findingTitle } from "./review-findings.mjs";
+import { extractText } from "./review-sources.mjs";
+
+// Posts a review to the pull request of a GitHub source:
+//   - findings that fall on diff lines become inline comments of one review
+//     (MCP create_pull_request_review); ones already posted by an earlier run
+//     are skipped by the key hidden in each comment: the fingerprint of the
+//     finding and a hash of the line it is anchored to, so the same problem
+//     on two lines gets two comments, and a push that only moves the code
+//     posts nothing new;
+//   - the full report goes into one summary comment, found by its marker and
+//     edited on every run instead of adding a new one.
+// Markers only count in comments of the bot itself, so a quoted marker can not
+// take over the summary or silence a finding.
+const SUMMARY_MARKER = "<!-- rag-review:summary -->";
+const FINDING_MARKER_RE = /<!-- rag-review:finding (\w+:\w+) -->/g;
+
+const GITHUB_API = "https://api.github.com";
+// Author of comments made with the GITHUB_TOKEN of a workflow
+const ACTIONS_BOT_LOGIN = "github-actions[bot]";
+
+function parseJsonResult(result, what) {
+  const text = extractText(result);
+  if (result.isError) throw new Error(`${what}: ${text}`);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${what}: unexpected response ${text.slice(0, 200)}`);
+  }
+}
+
+// The GitHub MCP server cannot list or edit issue comments and returns only
+// the first page of review comments, so both lists and the summary comment go
+// through the REST API with the same token.
+async function githubRequest(token, method, path, body) {
+  const response = await fetch(`${GITHUB_API}${path}`, {
+    method,
+    headers: {
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${token}`,
+      "X-GitHub-Api-Version": "2022-11-28",
+      "User-Agent": "rag-review-client",
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(
+      `GitHub ${method} ${path} returned HTTP ${response.status}: ${text.slice(0, 300)}`
+    );
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+// The login the token posts as. Tokens of GitHub Apps, the workflow one
+// included, can not read /user; they post as the Actions bot unless
+// REVIEW_BOT_LOGIN says otherwise.
+async function resolveBotLogin(token, configured) {
+  if (configured) return configured;
+  try {
+    return (await githubRequest(token, "GET", "/user")).login;
+  } catch {
+    return ACTIONS_BOT_LOGIN;
+  }
+}
+
+// Every item of a paginated GitHub list
+async function githubList(token, path) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const batch = await githubRequest(
+      token,
+      "GET",
+      `${path}?per_page=100&page=${page}`
+    );
+    items.push(...batch);
+    if (batch.length < 100) return items;
+  }
+}
+
+async function findSummaryComment(token, owner, repo, prNumber, botLogin) {
+  const comments = await githubList(
+    token,
+    `/repos/${owner}/${repo}/issues/${prNumber}/comments`
+  );
+  return (
+    comments.find(
+      (c) => c.user?.login === botLogin && c.body?.includes(SUMMARY_MARKER)
+    ) ?? null
+  );
+}
+
+// Keys of the findings the bot already commented on
+async function postedFindings(token, owner, repo, prNumber, botLogin) {
+  const comments = await githubList(
+    token,
+    `/repos/${owner}/${repo}/pulls/${prNumber}/comments`
+  );
+  const posted = new Set();
+  for (const comment of comments) {
+    if (comment.user?.login !== botLogin) continue;
+    for (const match of comment.body?.matchAll(FINDING_MARKER_RE) ?? []) {
+      posted.add(match[1]);
+    }
+  }
+  return posted;
+}
+
+function findingKey(finding, text) {
+  const anchor = createHash("sha256")
+    .update((text ?? "").trim())
+    .digest("hex")
+    .slice(0, 8);
+  return `${fingerprint(finding)}:${anchor}`;
+}
+
+export async function publishReview({
+  source,
+  token,
+  owner,
+  repo,
+  prNumber,
+  files,
+  findings,
+  report,
+  botLogin: configuredBotLogin,
+}) {
+  const botLogin = await resolveBotLogin(token, configuredBotLogin);
+  const pr = parseJsonResult(
+    await source.callTool(["get_pull_request"], {
+      owner,
+      repo,
+      pull_number: prNumber,
+    }),
+    "get_pull_request"
+  );
+  const headSha = pr.head.sha;
+
+  const posted = await postedFindings(token, owner, repo, prNumber, botLogin);
+
+  const comments = [];
+  let alreadyPosted = 0;
+  for (const finding of findings) {
+    const line = anchorLine(files, finding.file, finding.line);
+    if (line === null) continue;
+    const id = findingKey(finding, lineText(files, finding.file, line));
+    if (posted.has(id)) {
+      alreadyPosted++;
+      continue;
+    }
+    posted.add(id);
+    comments.push({
+      path: finding.file,
+      line,
+      body: `**${findingTitle(finding, { withLocation: false })}**\n\n${finding.message}\n\n<!-- rag-review:finding ${id} -->`,
+    });
+  }
+
+  const shortSha = headSha.slice(0, 7);
+  if (comments.length > 0) {
+    const result = await source.callTool(["create_pull_request_review"], {
+      owner,
+      repo,
+      pull_number: prNumber,
+      commit_id: headSha,
+      event: "COMMENT",
+      body: `AI-ревью ${shortSha}: новых замечаний в строках diff — ${comments.length}. Полный отчёт — в сводном комментарии PR.`,
+      comments,
+    });
+    if (result.isError) {
+      throw new Error(`create_pull_request_review: ${extractText(result)}`);
+    }
+  }
+  console.log(
+    `Inline comments: ${comments.length} posted, ${alreadyPosted} already on the PR, ${findings.length - comments.length - alreadyPosted} outside the diff`
+  );
+
+  const body = `${SUMMARY_MARKER}\n## AI Code Review\n\n_Коммит ${shortSha}_\n\n${report}\n`;
+  const summary = await findSummaryComment(
+    token,
+    owner,
+    repo,
+    prNumber,
+    botLogin
+  );
+  if (summary) {
+    await githubRequest(
+      token,
+      "PATCH",
+      `/repos/${owner}/${repo}/issues/comments/${summary.id}`,
+      { body }
+    );
+    console.log(`Summary comment ${summary.id} updated`);
+  } else {
+    const result = await source.callTool(["add_issue_comment"], {
+      owner,
+      repo,
+      issue_number: prNumber,
+      body,
+    });
+    if (result.isError) {
+      throw new Error(`add_issue_comment: ${extractText(result)}`);
+    }
+    console.log("Summary comment created");
+  }
+}
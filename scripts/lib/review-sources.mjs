@@ -0,0 +1,169 @@
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { execFileSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { filesFromGithub, parseUnifiedDiff } from "./diff.mjs";
+
+// Where the review client gets the change and the project docs from. Every
+// source returns { label, diff, files, docs, close() }: the unified diff as
+// text and parsed (see diff.mjs), and the docs as one string with a
+// "--- <path> ---" header before each file.
+export const DOC_FILES = ["docs/code-style.md", "docs/architecture.md"];
+
+function docSection(filePath, content) {
+  return `\n--- ${filePath} ---\n${content}\n`;
+}
+
+export function extractText(toolResult) {
+  if (!toolResult?.content) return "";
+  return toolResult.content
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("\n");
+}
+
+// ---- GitHub pull request through the GitHub MCP server ----
+// A PR file from the files response in `git diff` form.
+function githubFileDiff(item) {
+  const oldPath = item.previous_filename ?? item.filename;
+  return [
+    `diff --git a/${oldPath} b/${item.filename}`,
+    `--- a/${oldPath}`,
+    `+++ b/${item.filename}`,
+    item.patch,
+    "",
+  ].join("\n");
+}
+
+export async function openGithubSource({ token, owner, repo, prNumber }) {
+  console.log("Starting GitHub MCP server...");
+
+  const transport = new StdioClientTransport({
+    command: "npx",
+    args: ["-y", "@modelcontextprotocol/server-github"],
+    env: {
+      ...process.env,
+      GITHUB_PERSONAL_ACCESS_TOKEN: token,
+    },
+  });
+
+  const client = new Client({ name: "rag-review-client", version: "1.0.0" });
+  await client.connect(transport);
+  console.log("Connected to GitHub MCP server");
+
+  // List available tools (debug)
+  const { tools } = await client.listTools();
+  const toolNames = tools.map((t) => t.name);
+  console.log(`\nAvailable MCP tools (${toolNames.length}):`);
+  for (const name of toolNames) {
+    console.log(`  - ${name}`);
+  }
+
+  // Calls the first tool that exists, the server has renamed them over time
+  async function callTool(candidates, args) {
+    for (const name of candidates) {
+      if (toolNames.includes(name)) {
+        console.log(`\nCalling tool: ${name}`);
+        const result = await client.callTool({ name, arguments: args });
+        return result;
+      }
+    }
+    throw new Error(
+      `None of the tool candidates found: ${candidates.join(", ")}`
+    );
+  }
+
+  console.log("\n--- Fetching PR files (includes patches) ---");
+  const filesResult = await callTool(
+    [
+      "get_pull_request_files",
+      "list_pull_request_files",
+      "listPullRequestFiles",
+    ],
+    { owner, repo, pull_number: prNumber }
+  );
+  const filesText = extractText(filesResult);
+  console.log(`PR files response length: ${filesText.length} chars`);
+  let items;
+  try {
+    items = JSON.parse(filesText);
+  } catch {
+    throw new Error(`Unexpected PR files response: ${filesText.slice(0, 200)}`);
+  }
+
+  console.log("\n--- Fetching docs ---");
+  let docs = "";
+  for (const filePath of DOC_FILES) {
+    try {
+      const docResult = await callTool(
+        ["get_file_contents", "getFileContents", "read_file"],
+        { owner, repo, path: filePath }
+      );
+      const content = extractText(docResult);
+      docs += docSection(filePath, content);
+      console.log(`  Loaded ${filePath} (${content.length} chars)`);
+    } catch (err) {
+      console.warn(`  Warning: could not load ${filePath}: ${err.message}`);
+    }
+  }
+
+  return {
+    label: `${owner}/${repo}#${prNumber}`,
+    diff: items.filter((item) => item.patch).map(githubFileDiff).join(""),
+    files: filesFromGithub(items),
+    docs,
+    callTool,
+    close: () => client.close(),
+  };
+}
+
+// ---- Local git working tree ----
+function git(cwd, args) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf-8",
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+// The same three-dot diff a pull request from head into base would show.
+export function readLocalSource({ base, head = "HEAD", cwd = process.cwd() }) {
+  let root;
+  try {
+    root = git(cwd, ["rev-parse", "--show-toplevel"]).trim();
+  } catch {
+    throw new Error(`${cwd} is not inside a git repository`);
+  }
+  for (const ref of [base, head]) {
+    try {
+      git(root, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+    } catch {
+      throw new Error(`Unknown git revision "${ref}"`);
+    }
+  }
+
+  console.log(`\n--- Reading local diff ${base}...${head} ---`);
+  const diff = git(root, ["diff", "--no-color", `${base}...${head}`]);
+  console.log(`Local diff length: ${diff.length} chars`);
+
+  console.log("\n--- Reading docs from the working tree ---");
+  let docs = "";
+  for (const filePath of DOC_FILES) {
+    try {
+      const content = readFileSync(join(root, filePath), "utf-8");
+      docs += docSection(filePath, content);
+      console.log(`  Loaded ${filePath} (${content.length} chars)`);
+    } catch (err) {
+      console.warn(`  Warning: could not load ${filePath}: ${err.message}`);
+    }
+  }
+
+  return {
+    label: `${base}...${head}`,
+    diff,
+    files: parseUnifiedDiff(diff),
+    docs,
+    close: async () => {},
+  };
+}
@@ -0,0 +1,197 @@
+import { createFileLock } from "./file-lock.mjs";
+
+const WATCH_DEBOUNCE_MS = 100;
+const WATCH_POLL_MS = 500;
+
+// Top-level arrays of objects with unique integer ids (tasks, tickets,
+// history, ...) are stored one row per record; everything else is a single
+// JSON value per section.
+function isRecordArray(value) {
+  if (!Array.isArray(value)) return false;
+  const ids = new Set();
+  for (const item of value) {
+    if (!Number.isInteger(item?.id) || ids.has(item.id)) return false;
+    ids.add(item.id);
+  }
+  return true;
+}
+
+// The same dataset as createJsonStore, kept in an SQLite database. load()
+// still returns the whole dataset, but it is only read from the database when
+// some process changed it, and save() only rewrites the rows that changed;
+// that is what matters once there are tens of thousands of tickets. Records
+// come back in the order of their arrays. better-sqlite3 is an optional
+// dependency and is only loaded when this backend is used.
+export async function createSqliteStore(path) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (err) {
+    throw new Error(
+      `SQLite backend needs better-sqlite3 (npm install in scripts/): ${err.message}`
+    );
+  }
+
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sections (
+      name TEXT PRIMARY KEY,
+      position INTEGER NOT NULL,
+      -- JSON value; NULL for sections kept in records
+      body TEXT
+    );
+    CREATE TABLE IF NOT EXISTS records (
+      section TEXT NOT NULL,
+      id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      -- Index in the section array
+      position INTEGER,
+      PRIMARY KEY (section, id)
+    );
+  `);
+  // Databases migrated before records had a position kept insertion order
+  const columns = db.pragma("table_info(records)").map((c) => c.name);
+  if (!columns.includes("position")) {
+    db.exec(`
+      ALTER TABLE records ADD COLUMN position INTEGER;
+      UPDATE records SET position = rowid;
+    `);
+  }
+
+  const selectSections = db.prepare(
+    "SELECT name, position, body FROM sections ORDER BY position"
+  );
+  const selectRecords = db.prepare(
+    "SELECT section, body FROM records ORDER BY section, position"
+  );
+  const selectSectionRecords = db.prepare(
+    "SELECT id, body, position FROM records WHERE section = ?"
+  );
+  const upsertSection = db.prepare(`
+    INSERT INTO sections (name, position, body) VALUES (?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET position = excluded.position,
+      body = excluded.body
+  `);
+  const deleteSection = db.prepare("DELETE FROM sections WHERE name = ?");
+  const upsertRecord = db.prepare(`
+    INSERT INTO records (section, id, body, position) VALUES (?, ?, ?, ?)
+    ON CONFLICT (section, id) DO UPDATE SET body = excluded.body,
+      position = excluded.position
+  `);
+  const deleteRecord = db.prepare(
+    "DELETE FROM records WHERE section = ? AND id = ?"
+  );
+  const deleteSectionRecords = db.prepare(
+    "DELETE FROM records WHERE section = ?"
+  );
+
+  const { withLock } = createFileLock(`${path}.lock`);
+
+  // The dataset as last read, with the data_version it was read at.
+  // PRAGMA data_version only changes on commits by other connections, so
+  // save() drops the cache itself.
+  let cache = null;
+  let cacheVersion = null;
+
+  // One read transaction, so that a save() of another process can not land
+  // between the queries. Callers modify what they get, so the cache is
+  // handed out as a copy.
+  const load = db.transaction(() => {
+    const version = db.pragma("data_version", { simple: true });
+    if (cache && version === cacheVersion) return structuredClone(cache);
+    const sections = selectSections.all();
+    if (sections.length === 0) {
+      throw new Error(
+        `${path} is empty — migrate the data first (node scripts/migrate-storage.mjs)`
+      );
+    }
+    const data = {};
+    for (const { name, body } of sections) {
+      data[name] = body === null ? [] : JSON.parse(body);
+    }
+    for (const { section, body } of selectRecords.all()) {
+      data[section].push(JSON.parse(body));
+    }
+    cache = data;
+    cacheVersion = version;
+    return structuredClone(data);
+  });
+
+  // Returns the number of rows written.
+  const saveAll = db.transaction((data) => {
+    let written = 0;
+    const names = Object.keys(data);
+    const sections = new Map();
+    for (const section of selectSections.all()) {
+      const { name } = section;
+      sections.set(name, section);
+      if (names.includes(name)) continue;
+      deleteSection.run(name);
+      written += 1 + deleteSectionRecords.run(name).changes;
+    }
+    names.forEach((name, position) => {
+      const value = data[name];
+      const records = isRecordArray(value);
+      const body = records ? null : JSON.stringify(value);
+      const previous = sections.get(name);
+      if (previous?.position !== position || previous.body !== body) {
+        upsertSection.run(name, position, body);
+        written++;
+      }
+      if (!records) {
+        written += deleteSectionRecords.run(name).changes;
+        return;
+      }
+      const existing = new Map(
+        selectSectionRecords.all(name).map((r) => [r.id, r])
+      );
+      value.forEach((item, index) => {
+        const body = JSON.stringify(item);
+        const row = existing.get(item.id);
+        if (row?.body !== body || row.position !== index) {
+          upsertRecord.run(name, item.id, body, index);
+          written++;
+        }
+        existing.delete(item.id);
+      });
+      for (const id of existing.keys()) {
+        deleteRecord.run(name, id);
+        written++;
+      }
+    });
+    return written;
+  });
+
+  const listeners = [];
+  let notifyTimer = null;
+  function notify() {
+    clearTimeout(notifyTimer);
+    notifyTimer = setTimeout(() => {
+      for (const onChange of listeners) onChange();
+    }, WATCH_DEBOUNCE_MS);
+  }
+
+  function save(data) {
+    cache = null;
+    if (saveAll(data) > 0) notify();
+  }
+
+  // As with the cache, save() reports this process's own writes itself.
+  let pollTimer = null;
+  function watch(onChange) {
+    listeners.push(onChange);
+    if (pollTimer) return;
+    let version = db.pragma("data_version", { simple: true });
+    pollTimer = setInterval(() => {
+      const current = db.pragma("data_version", { simple: true });
+      if (current === version) return;
+      version = current;
+      notify();
+    }, WATCH_POLL_MS);
+    pollTimer.unref();
+  }
+
+  return { backend: "sqlite", path, load, save, withLock, watch };
+}
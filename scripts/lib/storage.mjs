@@ -0,0 +1,38 @@
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createJsonStore } from "./json-store.mjs";
+import { createSqliteStore } from "./sqlite-store.mjs";
+
+// Where the MCP servers keep their data. Every backend has the same
+// interface: load() returns the whole dataset as a plain object, save(data)
+// persists it, withLock(fn) serializes read-modify-write cycles across
+// processes and watch(onChange) reports changes made by any process.
+//   json    data/<name>.json (default)
+//   sqlite  data/<name>.sqlite, filled by scripts/migrate-storage.mjs
+// MCP_STORAGE selects the backend for all servers, MCP_DATA_DIR another
+// directory than data/.
+export const STORAGE_BACKENDS = ["json", "sqlite"];
+
+const DATA_DIR =
+  process.env.MCP_DATA_DIR ||
+  fileURLToPath(new URL("../../data/", import.meta.url));
+
+export function storagePath(name, backend) {
+  return join(DATA_DIR, `${name}.${backend}`);
+}
+
+export async function openStore(
+  name,
+  backend = process.env.MCP_STORAGE || "json"
+) {
+  switch (backend) {
+    case "json":
+      return createJsonStore(storagePath(name, "json"));
+    case "sqlite":
+      return createSqliteStore(storagePath(name, "sqlite"));
+    default:
+      throw new Error(
+        `Unknown storage backend "${backend}", expected one of: ${STORAGE_BACKENDS.join(", ")}`
+      );
+  }
+}
@@ -0,0 +1,18 @@
+// Audit trail of tasks.json, shared by the PM server and the CRM server, which
+// also changes tasks when it links tickets to them. get_task_history and
+// undo_last_change read these entries.
+
+// Appends an entry to data.history; the caller is responsible for saving.
+export function recordChange(data, taskId, action, diff, actor) {
+  data.history ??= [];
+  const entry = {
+    id: data.history.reduce((max, e) => Math.max(max, e.id), 0) + 1,
+    taskId,
+    action,
+    at: new Date().toISOString(),
+    actor: actor ?? null,
+    changes: diff,
+  };
+  data.history.push(entry);
+  return entry;
+}
@@ -0,0 +1,356 @@
+// Full-text search helpers shared by the MCP servers: Russian/English
+// stemming, a BM25 index over weighted fields with typo tolerance, and
+// snippets with highlighted matches.
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+export function tokenize(text) {
+  return (text ?? "").toLowerCase().replace(/ё/g, "е").match(WORD_RE) ?? [];
+}
+
+// ---- Russian stemmer (Snowball, slightly simplified) ----
+const RU_VOWELS = "аеиоуыэюя";
+
+function ruEndings(list) {
+  return list.split(" ").sort((a, b) => b.length - a.length);
+}
+
+const RU_PERFECTIVE_GERUND_1 = ruEndings("в вши вшись");
+const RU_PERFECTIVE_GERUND_2 = ruEndings("ив ивши ившись ыв ывши ывшись");
+const RU_ADJECTIVE = ruEndings(
+  "ее ие ые ое ими ыми ей ий ый ой ем им ым ом его ого ему ому их ых ую юю ая яя ою ею"
+);
+const RU_PARTICIPLE_1 = ruEndings("ем нн вш ющ щ");
+const RU_PARTICIPLE_2 = ruEndings("ивш ывш ующ");
+const RU_REFLEXIVE = ruEndings("ся сь");
+const RU_VERB_1 = ruEndings(
+  "ла на ете йте ли й л ем н ло но ет ют ны ть ешь нно"
+);
+const RU_VERB_2 = ruEndings(
+  "ила ыла ена ейте уйте ите или ыли ей уй ил ыл им ым ен ило ыло ено ят ует уют ит ыт ены ить ыть ишь ую ю"
+);
+const RU_NOUN = ruEndings(
+  "а ев ов ие ье е иями ями ами еи ии и ией ей ой ий й иям ям ием ем ам ом о у ах иях ях ы ь ию ью ю ия ья я"
+);
+const RU_SUPERLATIVE = ruEndings("ейш ейше");
+const RU_DERIVATIONAL = ruEndings("ост ость");
+
+// Removes the longest ending from `endings` that starts at or after `limit`.
+// Group 1 endings of the Snowball algorithm must follow "а" or "я".
+function stripEnding(word, limit, endings, afterAOrYa = false) {
+  for (const ending of endings) {
+    const at = word.length - ending.length;
+    if (at < limit || !word.endsWith(ending)) continue;
+    if (afterAOrYa && (at - 1 < limit || !"ая".includes(word[at - 1]))) {
+      continue;
+    }
+    return word.slice(0, at);
+  }
+  return null;
+}
+
+function stripAny(word, limit, groups) {
+  for (const [endings, afterAOrYa] of groups) {
+    const stripped = stripEnding(word, limit, endings, afterAOrYa);
+    if (stripped !== null) return stripped;
+  }
+  return null;
+}
+
+// Start of the region after the first vowel that follows a consonant
+function regionAfterVowelConsonant(word, from) {
+  for (let i = from + 1; i < word.length; i++) {
+    if (!RU_VOWELS.includes(word[i]) && RU_VOWELS.includes(word[i - 1])) {
+      return i + 1;
+    }
+  }
+  return word.length;
+}
+
+function stemRussian(word) {
+  const firstVowel = [...word].findIndex((ch) => RU_VOWELS.includes(ch));
+  if (firstVowel === -1) return word;
+  const rv = firstVowel + 1;
+  const r2 = regionAfterVowelConsonant(
+    word,
+    regionAfterVowelConsonant(word, 0)
+  );
+
+  let w = stripAny(word, rv, [
+    [RU_PERFECTIVE_GERUND_2, false],
+    [RU_PERFECTIVE_GERUND_1, true],
+  ]);
+  if (w === null) {
+    w = stripEnding(word, rv, RU_REFLEXIVE) ?? word;
+    const adjective = stripEnding(w, rv, RU_ADJECTIVE);
+    if (adjective !== null) {
+      w =
+        stripAny(adjective, rv, [
+          [RU_PARTICIPLE_2, false],
+          [RU_PARTICIPLE_1, true],
+        ]) ?? adjective;
+    } else {
+      w =
+        stripAny(w, rv, [
+          [RU_VERB_2, false],
+          [RU_VERB_1, true],
+          [RU_NOUN, false],
+        ]) ?? w;
+    }
+  }
+
+  if (w.endsWith("и") && w.length - 1 >= rv) w = w.slice(0, -1);
+  w = stripEnding(w, r2, RU_DERIVATIONAL) ?? w;
+  w = stripEnding(w, rv, RU_SUPERLATIVE) ?? w;
+  if (w.endsWith("нн") && w.length - 2 >= rv) w = w.slice(0, -1);
+  else if (w.endsWith("ь") && w.length - 1 >= rv) w = w.slice(0, -1);
+  return w;
+}
+
+// ---- English stemmer (plural and common inflections only) ----
+function stemEnglish(word) {
+  if (word.length <= 3) return word;
+  let w = word;
+  if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ["ingly", "edly", "ing", "ed", "ly"]) {
+    const base = w.slice(0, -suffix.length);
+    if (w.endsWith(suffix) && base.length >= 3 && /[aeiouy]/.test(base)) {
+      // "failed" → "fail", "running" → "run"
+      w = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+  return w;
+}
+
+export function stem(token) {
+  if (/^\d+$/.test(token)) return token;
+  if (/[а-я]/.test(token)) return stemRussian(token);
+  if (/^[a-z]+$/.test(token)) return stemEnglish(token);
+  return token;
+}
+
+// Function words that would otherwise match almost every ticket when a whole
+// question is used as the query.
+const STOP_WORDS = new Set(
+  (
+    "и в во не что он на я с со как а то все она так его но да ты к у же вы за бы по только ее мне было вот от меня еще нет о из ему теперь когда даже ну вдруг ли если уже или ни быть был него до вас нибудь опять уж вам ведь там потом себя ничего ей может они тут где есть надо ней для мы тебя их чем была сам чтоб без будто чего раз тоже себе под будет ж тогда кто этот того потому этого какой совсем ним здесь этом один почти мой тем чтобы нее сейчас были куда зачем всех никогда можно при наконец два об другой хоть после над больше тот через эти нас про всего них какая много разве три эту моя впрочем хорошо свою этой перед иногда лучше чуть том нельзя такой им более всегда конечно всю между почему " +
+    "a an the and or but if then of to in on at by for with from as is are was were be been it its this that these those i you he she we they my your our not no do does did can could should would how what why when where which who"
+  ).split(" ")
+);
+
+export function isStopWord(token) {
+  return STOP_WORDS.has(token);
+}
+
+export function stems(text) {
+  return tokenize(text)
+    .filter((token) => !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+// ---- Typo tolerance ----
+// Optimal string alignment distance, giving up once it exceeds `max`.
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Short words get no typo allowance: "api" vs "app" is not a typo.
+function maxTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+// ---- BM25 ----
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FUZZY_PENALTY = 0.7;
+
+// docs: [{ id, fields: { name: text } }], weights: { name: number }.
+// Field term frequencies are summed with the field weights (BM25F-style).
+export function createBm25Index(docs, weights = {}) {
+  const entries = docs.map((doc) => {
+    const tf = new Map();
+    let length = 0;
+    for (const [field, text] of Object.entries(doc.fields)) {
+      const weight = weights[field] ?? 1;
+      for (const term of stems(text)) {
+        tf.set(term, (tf.get(term) ?? 0) + weight);
+        length += weight;
+      }
+    }
+    return { id: doc.id, tf, length };
+  });
+  const df = new Map();
+  for (const entry of entries) {
+    for (const term of entry.tf.keys()) df.set(term, (df.get(term) ?? 0) + 1);
+  }
+  const avgLength =
+    entries.reduce((sum, e) => sum + e.length, 0) / (entries.length || 1);
+
+  function idf(term) {
+    const n = df.get(term) ?? 0;
+    return Math.log(1 + (entries.length - n + 0.5) / (n + 0.5));
+  }
+
+  // Query terms missing from the index are matched against indexed terms
+  // within a small edit distance, at a reduced weight.
+  function expand(term) {
+    if (df.has(term)) return [{ term, weight: 1 }];
+    const max = maxTypos(term);
+    if (max === 0) return [];
+    const variants = [];
+    for (const candidate of df.keys()) {
+      if (editDistance(term, candidate, max) <= max) {
+        variants.push({ term: candidate, weight: FUZZY_PENALTY });
+      }
+    }
+    return variants;
+  }
+
+  // Returns [{ id, score, matchedTerms }] for documents matching at least one
+  // query term, best first. matchedTerms are index terms, for highlighting.
+  function search(query, { ids } = {}) {
+    const queryTerms = [...new Set(stems(query))];
+    const expanded = queryTerms.map(expand);
+    const results = [];
+    for (const entry of entries) {
+      if (ids && !ids.has(entry.id)) continue;
+      let score = 0;
+      let matchedQueryTerms = 0;
+      const matchedTerms = new Set();
+      for (const variants of expanded) {
+        let best = 0;
+        for (const { term, weight } of variants) {
+          const tf = entry.tf.get(term);
+          if (!tf) continue;
+          const norm =
+            BM25_K1 * (1 - BM25_B + (BM25_B * entry.length) / avgLength);
+          const termScore =
+            weight * idf(term) * ((tf * (BM25_K1 + 1)) / (tf + norm));
+          best = Math.max(best, termScore);
+          matchedTerms.add(term);
+        }
+        if (best > 0) {
+          matchedQueryTerms++;
+          score += best;
+        }
+      }
+      if (score === 0) continue;
+      // Documents containing every query word rank above partial matches
+      score *= (1 + matchedQueryTerms / queryTerms.length) / 2;
+      results.push({
+        id: entry.id,
+        score: Math.round(score * 1000) / 1000,
+        matchedTerms: [...matchedTerms],
+      });
+    }
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  return { search, size: entries.length };
+}
+
+// ---- Document similarity ----
+// Unit-length TF-IDF vectors (Map term → weight) keyed by document id, for
+// comparing documents with each other rather than with a query.
+export function tfIdfVectors(docs, weights = {}) {
+  const counts = docs.map((doc) => {
+    const tf = new Map();
+    for (const [field, text] of Object.entries(doc.fields)) {
+      const weight = weights[field] ?? 1;
+      for (const term of stems(text)) {
+        tf.set(term, (tf.get(term) ?? 0) + weight);
+      }
+    }
+    return { id: doc.id, tf };
+  });
+  const df = new Map();
+  for (const { tf } of counts) {
+    for (const term of tf.keys()) df.set(term, (df.get(term) ?? 0) + 1);
+  }
+
+  const vectors = new Map();
+  for (const { id, tf } of counts) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of tf) {
+      const value =
+        (1 + Math.log(count)) * Math.log(1 + docs.length / df.get(term));
+      vector.set(term, value);
+      norm += value * value;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, value] of vector) vector.set(term, value / norm);
+    vectors.set(id, vector);
+  }
+  return vectors;
+}
+
+export function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, value] of small) dot += value * (large.get(term) ?? 0);
+  return dot;
+}
+
+// ---- Snippets ----
+const SNIPPET_RADIUS = 60;
+
+// Wraps words whose stem is in `terms` in **…**. Returns null when nothing in
+// the text matches; long texts are cut to a window around the first match.
+export function highlight(text, terms, { radius = SNIPPET_RADIUS } = {}) {
+  const wanted = new Set(terms);
+  const matches = [...text.matchAll(WORD_RE)].filter((m) =>
+    wanted.has(stem(m[0].toLowerCase().replace(/ё/g, "е")))
+  );
+  if (matches.length === 0) return null;
+
+  let from = 0;
+  let to = text.length;
+  if (text.length > radius * 3) {
+    from = Math.max(0, matches[0].index - radius);
+    to = Math.min(text.length, matches[0].index + matches[0][0].length + radius);
+    // Do not cut words in half
+    while (from > 0 && /[\p{L}\p{N}]/u.test(text[from - 1])) from--;
+    while (to < text.length && /[\p{L}\p{N}]/u.test(text[to])) to++;
+  }
+
+  let result = "";
+  let pos = from;
+  for (const m of matches) {
+    const end = m.index + m[0].length;
+    if (m.index < from || end > to) continue;
+    result += `${text.slice(pos, m.index)}**${m[0]}**`;
+    pos = end;
+  }
+  result += text.slice(pos, to);
+  return `${from > 0 ? "…" : ""}${result.trim()}${to < text.length ? "…" : ""}`;
+}
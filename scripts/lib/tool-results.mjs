@@ -0,0 +1,13 @@
+// Shapes of MCP tools/call results shared by the servers.
+
+export function textResult(text) {
+  return { content: [{ type: "text", text }] };
+}
+
+export function jsonResult(value) {
+  return textResult(JSON.stringify(value, null, 2));
+}
+
+export function errorResult(text) {
+  return { content: [{ type: "text", text }], isError: true };
+}
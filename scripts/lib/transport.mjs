@@ -0,0 +1,218 @@
+import { randomUUID } from "node:crypto";
+import { createServer as createHttpServer } from "node:http";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MCP_PATH = "/mcp";
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Connects a server built by createServer() to stdio (the default), or, with
+// --http or MCP_TRANSPORT=http, serves Streamable HTTP so that several
+// assistants share one process and one copy of the data. Each HTTP session
+// gets its own server instance.
+//   --port <n> / MCP_PORT   (default: defaultPort; 0 takes a free port)
+//   --host <h> / MCP_HOST   (default: 127.0.0.1)
+//   MCP_ALLOWED_HOSTS       extra host names clients may use, comma-separated
+//                           (needed when listening on 0.0.0.0)
+export async function startServer(createServer, { name, defaultPort, argv }) {
+  const flag = (option) => {
+    const index = argv.indexOf(option);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+  if (!argv.includes("--http") && process.env.MCP_TRANSPORT !== "http") {
+    await createServer().connect(new StdioServerTransport());
+    return;
+  }
+
+  const port = Number(flag("--port") ?? process.env.MCP_PORT ?? defaultPort);
+  const host = flag("--host") ?? process.env.MCP_HOST ?? "127.0.0.1";
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${flag("--port") ?? process.env.MCP_PORT}`);
+  }
+  const allowedHosts = new Set([
+    ...LOCAL_HOSTS,
+    normalizeHost(host),
+    ...(process.env.MCP_ALLOWED_HOSTS ?? "")
+      .split(",")
+      .map((h) => normalizeHost(h.trim()))
+      .filter(Boolean),
+  ]);
+  await serveHttp(createServer, { name, port, host, allowedHosts });
+}
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+function normalizeHost(host) {
+  const lower = host.toLowerCase();
+  return lower.includes(":") && !lower.startsWith("[") ? `[${lower}]` : lower;
+}
+
+// Protection against DNS rebinding, as the MCP spec requires: a page of
+// another site that got its name resolved to this machine still sends its
+// own name in Host and Origin, so those must name this server.
+function forbiddenReason(req, allowedHosts) {
+  const hostname = (value) => {
+    try {
+      return new URL(value).hostname;
+    } catch {
+      return null;
+    }
+  };
+  const host = req.headers.host && hostname(`http://${req.headers.host}`);
+  if (!allowedHosts.has(host)) return `Host ${req.headers.host ?? "(missing)"}`;
+  const origin = req.headers.origin;
+  if (origin !== undefined && !allowedHosts.has(hostname(origin))) {
+    return `Origin ${origin}`;
+  }
+  return null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+      } catch {
+        reject(new SyntaxError("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function serveHttp(createServer, { name, port, host, allowedHosts }) {
+  const sessions = new Map();
+
+  async function openSession() {
+    const session = { transport: null, lastSeen: Date.now(), streams: 0 };
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, session);
+        console.error(`Session ${id} opened (${sessions.size} active)`);
+      },
+    });
+    transport.onclose = () => {
+      if (sessions.delete(transport.sessionId)) {
+        console.error(`Session ${transport.sessionId} closed`);
+      }
+    };
+    session.transport = transport;
+    await createServer().connect(transport);
+    return session;
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const forbidden = forbiddenReason(req, allowedHosts);
+    if (forbidden) {
+      console.error(`Rejected ${req.method} ${pathname}: ${forbidden}`);
+      sendRpcError(res, 403, -32000, `Forbidden: ${forbidden} is not allowed`);
+      return;
+    }
+    try {
+      if (pathname === "/health" && req.method === "GET") {
+        sendJson(res, 200, {
+          status: "ok",
+          server: name,
+          transport: "streamable-http",
+          sessions: sessions.size,
+          uptimeSeconds: Math.round(process.uptime()),
+        });
+        return;
+      }
+      if (pathname !== MCP_PATH) {
+        sendJson(res, 404, { error: `Not found: ${pathname}` });
+        return;
+      }
+
+      let body;
+      if (req.method === "POST") {
+        try {
+          body = await readJsonBody(req);
+        } catch (err) {
+          sendRpcError(res, 400, -32700, `Parse error: ${err.message}`);
+          return;
+        }
+      }
+
+      const sessionId = req.headers["mcp-session-id"];
+      let session = sessionId ? sessions.get(sessionId) : undefined;
+      if (!session) {
+        if (sessionId) {
+          sendRpcError(res, 404, -32001, "Session not found");
+          return;
+        }
+        if (req.method !== "POST" || !isInitializeRequest(body)) {
+          sendRpcError(res, 400, -32000, "Bad Request: no valid session ID");
+          return;
+        }
+        session = await openSession();
+      }
+
+      session.lastSeen = Date.now();
+      // A GET opens the SSE stream for server notifications; the session
+      // is not idle while it stays open.
+      if (req.method === "GET") {
+        session.streams++;
+        res.on("close", () => {
+          session.streams--;
+          session.lastSeen = Date.now();
+        });
+      }
+      await session.transport.handleRequest(req, res, body);
+    } catch (err) {
+      console.error(`HTTP ${req.method} ${pathname} failed: ${err.stack}`);
+      if (!res.headersSent) sendRpcError(res, 500, -32603, "Internal error");
+    }
+  });
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+      if (session.streams === 0 && now - session.lastSeen > SESSION_IDLE_MS) {
+        session.transport.close();
+      }
+    }
+  }, 60 * 1000).unref();
+
+  const shutdown = async () => {
+    await Promise.all(
+      [...sessions.values()].map((session) => session.transport.close())
+    );
+    httpServer.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const { port: boundPort } = httpServer.address();
+  console.error(
+    `${name} listening on http://${host}:${boundPort}${MCP_PATH} (health: /health)`
+  );
+}
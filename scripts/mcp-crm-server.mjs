@@ -1,20 +1,550 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ErrorCode,
+  McpError,
 } from "@modelcontextprotocol/sdk/types.js";
-import { readFileSync } from "node:fs";
+import { addDays, eachDay, isValidDate, isoToday } from "./lib/dates.mjs";
+import {
+  createSubscriptions,
+  paginate,
+  resourceNotFound,
+} from "./lib/resources.mjs";
+import {
+  cosine,
+  createBm25Index,
+  highlight,
+  isStopWord,
+  stem,
+  tfIdfVectors,
+  tokenize,
+} from "./lib/text-search.mjs";
+import {
+  REDACTION_CATEGORIES,
+  REDACTION_MODES,
+  createRedactor,
+} from "./lib/redaction.mjs";
+import { openStore } from "./lib/storage.mjs";
+import { recordChange } from "./lib/task-history.mjs";
+import {
+  errorResult as plainErrorResult,
+  jsonResult as plainJsonResult,
+  textResult as plainTextResult,
+} from "./lib/tool-results.mjs";
+import { startServer } from "./lib/transport.mjs";
 
 // ---- Load CRM data ----
-const crmPath = new URL("../data/crm.json", import.meta.url);
-const crm = JSON.parse(readFileSync(crmPath, "utf-8"));
+const store = await openStore("crm");
+let crm = checkCrm(store.load());
+// Serialized snapshot, to tell real changes from no-op watch events
+let crmText = JSON.stringify(crm);
+
+function checkCrm(data) {
+  if (!Array.isArray(data.users) || !Array.isArray(data.tickets)) {
+    throw new Error("expected users and tickets arrays");
+  }
+  return data;
+}
+
+// ---- PII redaction ----
+// Tool results go straight into prompts of an external LLM. CRM_REDACTION
+// (off | mask | pseudonymize) and CRM_REDACTION_CATEGORIES (comma-separated)
+// override the "redaction" section of crm.json; both are read at startup.
+const redactionConfig = crm.redaction ?? {};
+const redactionMode =
+  process.env.CRM_REDACTION ?? redactionConfig.mode ?? "off";
+const redactionCategories = process.env.CRM_REDACTION_CATEGORIES
+  ? process.env.CRM_REDACTION_CATEGORIES.split(",").map((c) => c.trim())
+  : redactionConfig.categories ?? REDACTION_CATEGORIES;
+if (!REDACTION_MODES.includes(redactionMode)) {
+  throw new Error(
+    `Unknown redaction mode "${redactionMode}", expected one of: ${REDACTION_MODES.join(", ")}`
+  );
+}
+for (const category of redactionCategories) {
+  if (!REDACTION_CATEGORIES.includes(category)) {
+    throw new Error(
+      `Unknown redaction category "${category}", expected: ${REDACTION_CATEGORIES.join(", ")}`
+    );
+  }
+}
+const redactor = createRedactor({
+  mode: redactionMode,
+  categories: redactionCategories,
+  people: () => crm.users,
+});
+
+// Every tool result is built through these, so the redactor sees values
+// rather than their JSON text.
+function jsonResult(value) {
+  return plainJsonResult(redactor.redactValue(value));
+}
+
+function textResult(text) {
+  return plainTextResult(redactor.redactText(text));
+}
+
+function errorResult(text) {
+  return plainErrorResult(redactor.redactText(text));
+}
+
+// ---- Validation ----
+const TICKET_STATUSES = [
+  "open",
+  "in_progress",
+  "waiting_customer",
+  "resolved",
+  "closed",
+];
+const TICKET_PRIORITIES = ["low", "medium", "high", "critical"];
+const MESSAGE_AUTHORS = ["customer", "agent"];
+const USER_PLANS = ["free", "pro", "enterprise"];
+
+function validationError(errors) {
+  return errorResult(
+    `Некорректные параметры:\n${errors.map((e) => `- ${e}`).join("\n")}`
+  );
+}
+
+function checkNonEmpty(errors, args, field) {
+  if (typeof args[field] !== "string" || !args[field].trim()) {
+    errors.push(`${field}: ожидается непустая строка`);
+  }
+}
+
+function checkEnum(errors, args, field, values) {
+  if (args[field] !== undefined && !values.includes(args[field])) {
+    errors.push(
+      `${field}: "${args[field]}" — допустимые значения: ${values.join(", ")}`
+    );
+  }
+}
+
+function checkAgent(errors, agentId) {
+  if (
+    agentId !== undefined &&
+    agentId !== null &&
+    !(crm.agents ?? []).some((a) => a.id === agentId)
+  ) {
+    errors.push(
+      `agent_id: агент #${agentId} не найден — доступны: ${(crm.agents ?? []).map((a) => `${a.id} (${a.name})`).join(", ")}`
+    );
+  }
+}
+
+// ---- Tickets ----
+// Early tickets keep messages as plain strings; all of those came from the customer.
+function toMessage(message) {
+  return typeof message === "string"
+    ? { author: "customer", text: message }
+    : message;
+}
+
+function messageText(message) {
+  return toMessage(message).text;
+}
+
+function findTicket(ticketId) {
+  return crm.tickets.find((t) => t.id === ticketId);
+}
+
+function isClosedStatus(status) {
+  return status === "resolved" || status === "closed";
+}
+
+// Status changes are kept on the ticket: the SLA clocks stop for the time it
+// spends in a paused status such as waiting_customer.
+function setStatus(ticket, status) {
+  if (ticket.status !== status) {
+    ticket.statusChanges ??= [];
+    ticket.statusChanges.push({
+      from: ticket.status,
+      to: status,
+      at: new Date().toISOString(),
+    });
+  }
+  ticket.status = status;
+  if (isClosedStatus(status)) {
+    ticket.resolvedAt ??= new Date().toISOString();
+  } else {
+    delete ticket.resolvedAt;
+  }
+}
+
+// ---- Ticket search ----
+const SEARCH_FIELD_WEIGHTS = { subject: 2, messages: 1 };
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_SNIPPETS_PER_TICKET = 2;
+
+// The index is rebuilt lazily whenever `crm` is replaced (hot reload or a
+// write), so it always describes the snapshot being served.
+let searchIndex = null;
+let searchIndexSource = null;
+
+function ticketDocument(ticket) {
+  return {
+    id: ticket.id,
+    fields: {
+      subject: ticket.subject,
+      messages: ticket.messages.map(messageText).join("\n"),
+    },
+  };
+}
+
+function getSearchIndex() {
+  if (searchIndexSource !== crm) {
+    searchIndex = createBm25Index(
+      crm.tickets.map(ticketDocument),
+      SEARCH_FIELD_WEIGHTS
+    );
+    searchIndexSource = crm;
+  }
+  return searchIndex;
+}
+
+function ticketSnippets(ticket, terms) {
+  return ticket.messages
+    .map(toMessage)
+    .map((m) => ({ author: m.author, text: highlight(m.text, terms) }))
+    .filter((m) => m.text !== null)
+    .slice(0, SEARCH_SNIPPETS_PER_TICKET);
+}
+
+// ---- Duplicates ----
+const SIMILARITY_FIELD_WEIGHTS = { subject: 2, messages: 1 };
+const DUPLICATE_THRESHOLD = 0.3;
+const RELATED_THRESHOLD = 0.15;
+
+let similarityVectors = null;
+let similaritySource = null;
+
+function getSimilarityVectors() {
+  if (similaritySource !== crm) {
+    similarityVectors = tfIdfVectors(
+      crm.tickets.map(ticketDocument),
+      SIMILARITY_FIELD_WEIGHTS
+    );
+    similaritySource = crm;
+  }
+  return similarityVectors;
+}
+
+// Clusters the ticket together with every ticket at least `minScore` similar
+// to it. Two tickets share a cluster when a chain of pairs at least `threshold`
+// similar connects them, or when one was already merged into the other.
+function clusterSimilar(ticket, threshold, minScore) {
+  const vectors = getSimilarityVectors();
+  const base = vectors.get(ticket.id);
+  const nodes = [
+    { ticket, score: 1 },
+    ...crm.tickets
+      .filter((t) => t.id !== ticket.id)
+      .map((t) => ({ ticket: t, score: cosine(base, vectors.get(t.id)) }))
+      .filter((n) => n.score >= minScore),
+  ];
+
+  const parent = nodes.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const index = new Map(nodes.map((n, i) => [n.ticket.id, i]));
+  for (let i = 0; i < nodes.length; i++) {
+    const canonical = index.get(nodes[i].ticket.duplicateOf);
+    if (canonical !== undefined) parent[find(i)] = find(canonical);
+    for (let j = i + 1; j < nodes.length; j++) {
+      const similarity =
+        i === 0
+          ? nodes[j].score
+          : cosine(
+              vectors.get(nodes[i].ticket.id),
+              vectors.get(nodes[j].ticket.id)
+            );
+      if (similarity >= threshold) parent[find(j)] = find(i);
+    }
+  }
+
+  const clusters = new Map();
+  nodes.forEach((node, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(node);
+  });
+  return [...clusters.values()];
+}
+
+// An already chosen canonical ticket wins; otherwise the oldest one.
+function suggestCanonical(tickets) {
+  return (
+    tickets.find((t) => (t.duplicates ?? []).length > 0 && !t.duplicateOf) ??
+    [...tickets].sort(
+      (a, b) => toTime(a.createdAt) - toTime(b.createdAt) || a.id - b.id
+    )[0]
+  );
+}
+
+// ---- SLA ----
+// Hours to the first agent reply and to resolution, per plan and priority.
+// Used when crm.json has no "sla" section of its own.
+const DEFAULT_SLA = {
+  warningRatio: 0.8,
+  pausedStatuses: ["waiting_customer"],
+  policies: {
+    enterprise: {
+      critical: { firstResponseHours: 1, resolutionHours: 4 },
+      high: { firstResponseHours: 2, resolutionHours: 8 },
+      medium: { firstResponseHours: 4, resolutionHours: 24 },
+      low: { firstResponseHours: 8, resolutionHours: 48 },
+    },
+    pro: {
+      critical: { firstResponseHours: 2, resolutionHours: 8 },
+      high: { firstResponseHours: 4, resolutionHours: 24 },
+      medium: { firstResponseHours: 8, resolutionHours: 48 },
+      low: { firstResponseHours: 24, resolutionHours: 96 },
+    },
+    free: {
+      critical: { firstResponseHours: 8, resolutionHours: 24 },
+      high: { firstResponseHours: 24, resolutionHours: 72 },
+      medium: { firstResponseHours: 48, resolutionHours: 120 },
+      low: { firstResponseHours: 72, resolutionHours: 168 },
+    },
+  },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function getSla() {
+  return crm.sla ?? DEFAULT_SLA;
+}
+
+// Legacy tickets only have a date; treat it as midnight UTC.
+function toTime(value) {
+  return new Date(value.length === 10 ? `${value}T00:00:00Z` : value).getTime();
+}
+
+function hoursBetween(from, to) {
+  return Math.round(((to - from) / HOUR_MS) * 10) / 10;
+}
+
+// [start, end] periods the ticket spent in paused statuses up to `now`.
+// Tickets from before statusChanges existed count as paused since their last
+// message.
+function pausedIntervals(ticket, pausedStatuses, now) {
+  const changes = ticket.statusChanges ?? [];
+  const intervals = [];
+  let status = changes[0]?.from ?? ticket.status;
+  let since = toTime(ticket.createdAt);
+  if (changes.length === 0) {
+    const lastAt = ticket.messages.map(toMessage).findLast((m) => m.at)?.at;
+    if (lastAt) since = toTime(lastAt);
+  }
+  for (const change of changes) {
+    const at = toTime(change.at);
+    if (pausedStatuses.includes(status)) intervals.push([since, at]);
+    status = change.to;
+    since = at;
+  }
+  if (pausedStatuses.includes(status)) intervals.push([since, now]);
+  return intervals;
+}
+
+// Paused time within [from, to].
+function pausedMsBetween(intervals, from, to) {
+  return intervals.reduce(
+    (sum, [start, end]) =>
+      sum + Math.max(0, Math.min(end, to) - Math.max(start, from)),
+    0
+  );
+}
+
+// Returns the SLA clocks of a ticket: for each target its deadline and state —
+// met, missed, breached, paused, at_risk (warningRatio of the time is gone) or ok.
+// Time in paused statuses does not count: it moves the deadline back, and a
+// running clock of a paused ticket is "paused" whatever its deadline.
+function slaStatus(ticket, now = Date.now()) {
+  const sla = getSla();
+  const plan = crm.users.find((u) => u.id === ticket.userId)?.plan;
+  const policy = sla.policies[plan]?.[ticket.priority];
+  if (!policy) return null;
+
+  const created = toTime(ticket.createdAt);
+  const firstReply = ticket.messages
+    .map(toMessage)
+    .find((m) => m.author === "agent" && m.at);
+  const paused = sla.pausedStatuses.includes(ticket.status);
+  const intervals = pausedIntervals(ticket, sla.pausedStatuses, now);
+  const clocks = [
+    {
+      target: "first_response",
+      hours: policy.firstResponseHours,
+      doneAt: firstReply ? toTime(firstReply.at) : null,
+    },
+    {
+      target: "resolution",
+      hours: policy.resolutionHours,
+      doneAt: ticket.resolvedAt ? toTime(ticket.resolvedAt) : null,
+    },
+  ].map(({ target, hours, doneAt }) => {
+    const end = doneAt ?? now;
+    const pausedMs = pausedMsBetween(intervals, created, end);
+    const due = created + hours * HOUR_MS + pausedMs;
+    let state;
+    if (doneAt) state = doneAt > due ? "missed" : "met";
+    else if (paused) state = "paused";
+    else if (now > due) state = "breached";
+    else if (now - created - pausedMs >= hours * HOUR_MS * sla.warningRatio) {
+      state = "at_risk";
+    } else state = "ok";
+    return {
+      target,
+      state,
+      dueAt: new Date(due).toISOString(),
+      ...(hoursBetween(0, pausedMs) > 0 && {
+        pausedHours: hoursBetween(0, pausedMs),
+      }),
+      ...(state === "breached" && { overdueHours: hoursBetween(due, now) }),
+      ...(state === "at_risk" && { remainingHours: hoursBetween(now, due) }),
+    };
+  });
+  return { plan, policy, clocks };
+}
+
+// ---- Support stats ----
+const STATS_MAX_DAYS = 366;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round(((sorted[mid - 1] + sorted[mid]) / 2) * 10) / 10;
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    const value = key(item) ?? "unknown";
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+// Subject words grouped by stem, so "авторизация" and "авторизации" count as
+// one topic; each is shown in its most frequent form.
+function topSubjectKeywords(tickets, limit) {
+  const topics = new Map();
+  for (const ticket of tickets) {
+    const seen = new Set();
+    for (const token of tokenize(ticket.subject)) {
+      if (token.length < 3 || isStopWord(token)) continue;
+      const key = stem(token);
+      const topic = topics.get(key) ?? { tickets: 0, forms: new Map() };
+      topic.forms.set(token, (topic.forms.get(token) ?? 0) + 1);
+      if (!seen.has(key)) {
+        topic.tickets++;
+        seen.add(key);
+      }
+      topics.set(key, topic);
+    }
+  }
+  return [...topics.values()]
+    .sort((a, b) => b.tickets - a.tickets)
+    .slice(0, limit)
+    .map((topic) => ({
+      keyword: [...topic.forms].sort((a, b) => b[1] - a[1])[0][0],
+      tickets: topic.tickets,
+    }));
+}
+
+// ---- Linked PM tasks ----
+// A ticket and the PM task that fixes it point at each other:
+// ticket.linkedTaskIds here, task.linkedTicketIds in tasks.json. When a linked
+// task reaches done, the PM server leaves a system note on the ticket.
+// Anyone writing both files locks tasks.json first and crm.json second, so
+// the two servers never wait on each other.
+const tasksStore = await openStore("tasks");
+
+// Adds or removes id in item[field]; the field is dropped once empty.
+function setLinkedId(item, field, id, linked) {
+  const ids = item[field] ?? [];
+  if (ids.includes(id) === linked) return false;
+  const next = linked
+    ? [...ids, id].sort((a, b) => a - b)
+    : ids.filter((x) => x !== id);
+  if (next.length > 0) item[field] = next;
+  else delete item[field];
+  return true;
+}
+
+function taskSummary(pm, task) {
+  const member = pm.members.find((m) => m.id === task.assigneeId);
+  const sprint = (pm.sprints ?? []).find((sp) => sp.id === task.sprintId);
+  return {
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    assignee: member?.name ?? "не назначен",
+    ...(task.deadline && { deadline: task.deadline }),
+    sprint: sprint?.name ?? "бэклог",
+  };
+}
+
+function agentName(agentId) {
+  return (crm.agents ?? []).find((a) => a.id === agentId)?.name;
+}
+
+// withSla: false leaves out the SLA clocks, whose remaining/overdue hours
+// change every time they are computed.
+function ticketView(ticket, { withSla = true } = {}) {
+  const user = crm.users.find((u) => u.id === ticket.userId);
+  const assigneeName = agentName(ticket.assigneeId);
+  const sla = withSla && slaStatus(ticket);
+  return {
+    ...ticket,
+    messages: ticket.messages.map(toMessage),
+    userName: user?.name,
+    ...(assigneeName && { assigneeName }),
+    ...(sla && { sla: sla.clocks }),
+  };
+}
+
+function slaEntry(ticket, clocks) {
+  const user = crm.users.find((u) => u.id === ticket.userId);
+  return {
+    ticketId: ticket.id,
+    subject: ticket.subject,
+    plan: user?.plan,
+    priority: ticket.priority,
+    status: ticket.status,
+    assignee: agentName(ticket.assigneeId) ?? "не назначен",
+    clocks,
+  };
+}
 
 // ---- MCP Server ----
-const server = new Server(
-  { name: "crm-server", version: "1.0.0" },
-  { capabilities: { tools: {} } }
-);
+// One instance per client session: stdio has a single one, HTTP one per
+// session. All of them serve the same `crm` snapshot.
+function createServer() {
+  const server = new Server(
+    { name: "crm-server", version: "1.0.0" },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+      },
+    }
+  );
+  registerToolHandlers(server);
+  registerResourceHandlers(server);
+  registerPromptHandlers(server);
+  return server;
+}
 
 // ---- Tools definition ----
 const TOOLS = [
@@ -53,111 +583,1206 @@ const TOOLS = [
   },
   {
     name: "search_tickets",
-    description: "Поиск тикетов по ключевому слову в теме или сообщениях",
+    description:
+      "Полнотекстовый поиск тикетов по теме и сообщениям с учётом словоформ (рус/англ) и опечаток. Результаты ранжированы по релевантности (BM25), совпадения выделены **жирным** во фрагментах",
     inputSchema: {
       type: "object",
       properties: {
-        query: { type: "string", description: "Поисковый запрос" },
+        query: {
+          type: "string",
+          description: "Поисковый запрос: слова или вопрос целиком",
+        },
+        status: {
+          type: "string",
+          enum: TICKET_STATUSES,
+          description: "Фильтр по статусу",
+        },
+        priority: {
+          type: "string",
+          enum: TICKET_PRIORITIES,
+          description: "Фильтр по приоритету",
+        },
+        plan: {
+          type: "string",
+          enum: USER_PLANS,
+          description: "Фильтр по тарифу пользователя",
+        },
+        date_from: {
+          type: "string",
+          description: "Созданы не раньше (YYYY-MM-DD)",
+        },
+        date_to: {
+          type: "string",
+          description: "Созданы не позже (YYYY-MM-DD)",
+        },
+        limit: {
+          type: "number",
+          description: `Сколько результатов вернуть (по умолчанию 10, максимум ${SEARCH_MAX_LIMIT})`,
+        },
       },
       required: ["query"],
     },
   },
+  {
+    name: "get_sla_status",
+    description:
+      "Контроль SLA: открытые тикеты, у которых нарушен или вот-вот будет нарушен срок первого ответа или решения. Сроки зависят от тарифа и приоритета",
+    inputSchema: {
+      type: "object",
+      properties: {
+        plan: {
+          type: "string",
+          enum: USER_PLANS,
+          description: "Только тикеты пользователей этого тарифа",
+        },
+        priority: {
+          type: "string",
+          enum: TICKET_PRIORITIES,
+          description: "Только тикеты с этим приоритетом",
+        },
+        assignee_id: {
+          type: "number",
+          description: "Только тикеты этого агента",
+        },
+        include_ok: {
+          type: "boolean",
+          description: "Показать также тикеты, укладывающиеся в SLA",
+        },
+      },
+    },
+  },
+  {
+    name: "escalate_ticket",
+    description:
+      "Эскалировать тикет: повысить приоритет на одну ступень (SLA становится строже) и записать причину",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        reason: { type: "string", description: "Причина эскалации" },
+        actor: {
+          type: "string",
+          description: "Кто эскалирует (имя агента или system)",
+        },
+      },
+      required: ["ticket_id", "reason"],
+    },
+  },
+  {
+    name: "get_support_stats",
+    description:
+      "Сводка поддержки за период: открытые/закрытые тикеты, объём по дням, разбивка по тарифам и приоритетам, медианное время первого ответа и решения, частые темы обращений",
+    inputSchema: {
+      type: "object",
+      properties: {
+        days: {
+          type: "number",
+          description:
+            "Длина периода в днях, заканчивая сегодняшним (по умолчанию 30)",
+        },
+        date_from: {
+          type: "string",
+          description: "Начало периода (YYYY-MM-DD), вместо days",
+        },
+        date_to: {
+          type: "string",
+          description: "Конец периода (YYYY-MM-DD), по умолчанию сегодня",
+        },
+        top_keywords: {
+          type: "number",
+          description: "Сколько частых тем вернуть (по умолчанию 10)",
+        },
+      },
+    },
+  },
+  {
+    name: "find_similar_tickets",
+    description:
+      "Найти дубликаты и похожие тикеты (в т.ч. от других пользователей) по теме и сообщениям. Возвращает кластеры с оценкой сходства 0..1 и предлагаемым основным тикетом",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        threshold: {
+          type: "number",
+          description: `Сходство, начиная с которого тикеты считаются дубликатами (по умолчанию ${DUPLICATE_THRESHOLD})`,
+        },
+        min_score: {
+          type: "number",
+          description: `Минимальное сходство для попадания в выдачу (по умолчанию ${RELATED_THRESHOLD})`,
+        },
+      },
+      required: ["ticket_id"],
+    },
+  },
+  {
+    name: "merge_tickets",
+    description:
+      "Связать дубликаты с основным тикетом: у дубликатов появляется duplicateOf, у основного — список duplicates. По умолчанию дубликаты закрываются",
+    inputSchema: {
+      type: "object",
+      properties: {
+        canonical_id: { type: "number", description: "ID основного тикета" },
+        duplicate_ids: {
+          type: "array",
+          items: { type: "number" },
+          description: "ID тикетов-дубликатов",
+        },
+        close_duplicates: {
+          type: "boolean",
+          description: "Закрыть дубликаты (по умолчанию true)",
+        },
+      },
+      required: ["canonical_id", "duplicate_ids"],
+    },
+  },
+  {
+    name: "link_ticket_to_task",
+    description:
+      "Связать тикет с задачей PM (data/tasks.json), которая исправляет проблему. Связь хранится с обеих сторон: linkedTaskIds у тикета и linkedTicketIds у задачи. Когда задача переходит в done, в тикет добавляется служебная заметка",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        task_id: { type: "number", description: "ID задачи PM" },
+        unlink: {
+          type: "boolean",
+          description: "Удалить связь вместо создания (по умолчанию false)",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["ticket_id", "task_id"],
+    },
+  },
+  {
+    name: "get_linked_items",
+    description:
+      "Связанные объекты: для тикета — задачи PM с их статусом и исполнителем, для задачи — тикеты поддержки. Укажите ticket_id или task_id",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        task_id: { type: "number", description: "ID задачи PM" },
+      },
+    },
+  },
+  {
+    name: "create_ticket",
+    description: "Создать тикет от имени пользователя с первым сообщением",
+    inputSchema: {
+      type: "object",
+      properties: {
+        user_id: { type: "number", description: "ID пользователя" },
+        subject: { type: "string", description: "Тема тикета" },
+        message: { type: "string", description: "Первое сообщение" },
+        priority: {
+          type: "string",
+          enum: TICKET_PRIORITIES,
+          description: "Приоритет (по умолчанию medium)",
+        },
+      },
+      required: ["user_id", "subject", "message"],
+    },
+  },
+  {
+    name: "add_message",
+    description:
+      "Добавить сообщение в тикет от агента поддержки или клиента. Сообщение клиента переоткрывает тикет, ожидающий ответа или решённый",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        author: {
+          type: "string",
+          enum: MESSAGE_AUTHORS,
+          description: "Автор: agent или customer",
+        },
+        text: { type: "string", description: "Текст сообщения" },
+        agent_id: {
+          type: "number",
+          description: "ID агента (для сообщений агента)",
+        },
+      },
+      required: ["ticket_id", "author", "text"],
+    },
+  },
+  {
+    name: "set_ticket_status",
+    description: "Изменить статус тикета",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        status: {
+          type: "string",
+          enum: TICKET_STATUSES,
+          description:
+            "Статус: open, in_progress, waiting_customer, resolved, closed",
+        },
+      },
+      required: ["ticket_id", "status"],
+    },
+  },
+  {
+    name: "set_ticket_priority",
+    description: "Изменить приоритет тикета",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        priority: {
+          type: "string",
+          enum: TICKET_PRIORITIES,
+          description: "Приоритет: low, medium, high, critical",
+        },
+      },
+      required: ["ticket_id", "priority"],
+    },
+  },
+  {
+    name: "assign_ticket",
+    description: "Назначить тикет агенту поддержки (agent_id: null — снять назначение)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticket_id: { type: "number", description: "ID тикета" },
+        agent_id: {
+          type: ["number", "null"],
+          description: "ID агента поддержки",
+        },
+      },
+      required: ["ticket_id", "agent_id"],
+    },
+  },
 ];
 
 // ---- Handlers ----
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: TOOLS,
-}));
+// Tools that never write; the rest re-read crm.json under the lock first,
+// so they build on changes made by other server processes.
+const READ_ONLY_TOOLS = new Set([
+  "get_ticket",
+  "get_user",
+  "list_user_tickets",
+  "search_tickets",
+  "get_sla_status",
+  "get_support_stats",
+  "find_similar_tickets",
+  "get_linked_items",
+]);
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Tools that also write tasks.json; see "Linked PM tasks" for the lock order.
+const TASK_WRITING_TOOLS = new Set(["link_ticket_to_task"]);
+
+function registerToolHandlers(server) {
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: TOOLS,
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    if (READ_ONLY_TOOLS.has(name)) {
+      return handleTool(name, args ?? {});
+    }
+
+    const run = () =>
+      store.withLock(() => {
+        crm = checkCrm(store.load());
+        return handleTool(name, args ?? {});
+      });
+    try {
+      return await (TASK_WRITING_TOOLS.has(name)
+        ? tasksStore.withLock(run)
+        : run());
+    } catch (err) {
+      return errorResult(err.message);
+    }
+  });
+}
 
+function handleTool(name, args) {
   switch (name) {
     case "get_ticket": {
       const ticket = crm.tickets.find((t) => t.id === args.ticket_id);
-      if (!ticket) {
-        return {
-          content: [
-            { type: "text", text: `Тикет #${args.ticket_id} не найден` },
-          ],
-        };
-      }
-      const user = crm.users.find((u) => u.id === ticket.userId);
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({ ...ticket, userName: user?.name }, null, 2),
-          },
-        ],
-      };
+      if (!ticket) return textResult(`Тикет #${args.ticket_id} не найден`);
+      return jsonResult(ticketView(ticket));
     }
 
     case "get_user": {
       const user = crm.users.find((u) => u.id === args.user_id);
-      if (!user) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Пользователь #${args.user_id} не найден`,
-            },
-          ],
-        };
-      }
+      if (!user) return textResult(`Пользователь #${args.user_id} не найден`);
       const ticketCount = crm.tickets.filter(
         (t) => t.userId === user.id
       ).length;
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({ ...user, ticketCount }, null, 2),
-          },
-        ],
-      };
+      return jsonResult({ ...user, ticketCount });
     }
 
     case "list_user_tickets": {
       const tickets = crm.tickets.filter((t) => t.userId === args.user_id);
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(tickets, null, 2),
-          },
-        ],
-      };
+      return jsonResult(tickets);
     }
 
     case "search_tickets": {
-      const q = args.query.toLowerCase();
-      const found = crm.tickets.filter(
-        (t) =>
-          t.subject.toLowerCase().includes(q) ||
-          t.messages.some((m) => m.toLowerCase().includes(q))
+      const errors = [];
+      checkNonEmpty(errors, args, "query");
+      checkEnum(errors, args, "status", TICKET_STATUSES);
+      checkEnum(errors, args, "priority", TICKET_PRIORITIES);
+      checkEnum(errors, args, "plan", USER_PLANS);
+      for (const field of ["date_from", "date_to"]) {
+        if (args[field] !== undefined && !isValidDate(args[field])) {
+          errors.push(`${field}: ожидается дата в формате YYYY-MM-DD`);
+        }
+      }
+      const limit = args.limit ?? 10;
+      if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+        errors.push(`limit: ожидается целое число от 1 до ${SEARCH_MAX_LIMIT}`);
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const usersById = new Map(crm.users.map((u) => [u.id, u]));
+      const ids = new Set(
+        crm.tickets
+          .filter(
+            (t) =>
+              (args.status === undefined || t.status === args.status) &&
+              (args.priority === undefined || t.priority === args.priority) &&
+              (args.plan === undefined ||
+                usersById.get(t.userId)?.plan === args.plan) &&
+              (args.date_from === undefined ||
+                t.createdAt.slice(0, 10) >= args.date_from) &&
+              (args.date_to === undefined ||
+                t.createdAt.slice(0, 10) <= args.date_to)
+          )
+          .map((t) => t.id)
+      );
+      const matches = getSearchIndex().search(args.query, { ids });
+      if (matches.length === 0) {
+        return textResult(`Тикеты по запросу "${args.query}" не найдены`);
+      }
+
+      return jsonResult({
+        query: args.query,
+        total: matches.length,
+        results: matches.slice(0, limit).map(({ id, score, matchedTerms }) => {
+          const t = findTicket(id);
+          const user = usersById.get(t.userId);
+          return {
+            id: t.id,
+            subject: highlight(t.subject, matchedTerms) ?? t.subject,
+            status: t.status,
+            priority: t.priority,
+            createdAt: t.createdAt,
+            userName: user?.name,
+            plan: user?.plan,
+            score,
+            snippets: ticketSnippets(t, matchedTerms),
+          };
+        }),
+      });
+    }
+
+    case "get_sla_status": {
+      const errors = [];
+      checkEnum(errors, args, "plan", USER_PLANS);
+      checkEnum(errors, args, "priority", TICKET_PRIORITIES);
+      checkAgent(errors, args.assignee_id);
+      if (errors.length > 0) return validationError(errors);
+
+      const now = Date.now();
+      const breached = [];
+      const atRisk = [];
+      const ok = [];
+      for (const ticket of crm.tickets) {
+        if (isClosedStatus(ticket.status)) continue;
+        if (args.priority !== undefined && ticket.priority !== args.priority) {
+          continue;
+        }
+        if (
+          args.assignee_id !== undefined &&
+          ticket.assigneeId !== args.assignee_id
+        ) {
+          continue;
+        }
+        const sla = slaStatus(ticket, now);
+        if (!sla || (args.plan !== undefined && sla.plan !== args.plan)) {
+          continue;
+        }
+        const states = sla.clocks.map((c) => c.state);
+        const entry = slaEntry(ticket, sla.clocks);
+        if (states.includes("breached")) breached.push(entry);
+        else if (states.includes("at_risk")) atRisk.push(entry);
+        else ok.push(entry);
+      }
+      const overdue = (e) =>
+        Math.max(...e.clocks.map((c) => c.overdueHours ?? 0));
+      const remaining = (e) =>
+        Math.min(...e.clocks.map((c) => c.remainingHours ?? Infinity));
+      breached.sort((a, b) => overdue(b) - overdue(a));
+      atRisk.sort((a, b) => remaining(a) - remaining(b));
+
+      return jsonResult({
+        checkedAt: new Date(now).toISOString(),
+        summary: {
+          breached: breached.length,
+          atRisk: atRisk.length,
+          ok: ok.length,
+        },
+        breached,
+        atRisk,
+        ...(args.include_ok && { ok }),
+      });
+    }
+
+    case "escalate_ticket": {
+      const ticket = findTicket(args.ticket_id);
+      if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+      const errors = [];
+      checkNonEmpty(errors, args, "reason");
+      if (isClosedStatus(ticket.status)) {
+        errors.push(
+          `ticket_id: тикет #${ticket.id} в статусе ${ticket.status} — эскалировать нечего`
+        );
+      } else if (ticket.priority === "critical") {
+        errors.push(
+          `ticket_id: у тикета #${ticket.id} уже приоритет critical — повышать некуда`
+        );
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const from = ticket.priority;
+      const to = TICKET_PRIORITIES[TICKET_PRIORITIES.indexOf(from) + 1];
+      const now = new Date().toISOString();
+      ticket.priority = to;
+      ticket.escalations = [
+        ...(ticket.escalations ?? []),
+        {
+          at: now,
+          from,
+          to,
+          reason: args.reason.trim(),
+          actor: args.actor ?? "unknown",
+        },
+      ];
+      ticket.updatedAt = now;
+      store.save(crm);
+
+      return jsonResult({
+        ticketId: ticket.id,
+        priority: `${from} → ${to}`,
+        reason: args.reason.trim(),
+        escalations: ticket.escalations.length,
+        sla: slaStatus(ticket)?.clocks,
+      });
+    }
+
+    case "get_support_stats": {
+      const errors = [];
+      for (const field of ["date_from", "date_to"]) {
+        if (args[field] !== undefined && !isValidDate(args[field])) {
+          errors.push(`${field}: ожидается дата в формате YYYY-MM-DD`);
+        }
+      }
+      const days = args.days ?? 30;
+      if (!Number.isInteger(days) || days < 1 || days > STATS_MAX_DAYS) {
+        errors.push(`days: ожидается целое число от 1 до ${STATS_MAX_DAYS}`);
+      }
+      const topKeywords = args.top_keywords ?? 10;
+      if (!Number.isInteger(topKeywords) || topKeywords < 0) {
+        errors.push("top_keywords: ожидается неотрицательное целое число");
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const to = args.date_to ?? isoToday();
+      const from = args.date_from ?? addDays(to, 1 - days);
+      if (from > to) {
+        return validationError([`date_from: ${from} позже конца периода ${to}`]);
+      }
+      const window = eachDay(from, to);
+      if (window.length > STATS_MAX_DAYS) {
+        return validationError([
+          `период ${from} — ${to} длиннее ${STATS_MAX_DAYS} дней`,
+        ]);
+      }
+
+      const inWindow = (value) =>
+        value !== undefined &&
+        value.slice(0, 10) >= from &&
+        value.slice(0, 10) <= to;
+      const usersById = new Map(crm.users.map((u) => [u.id, u]));
+      const created = crm.tickets.filter((t) => inWindow(t.createdAt));
+      const resolved = crm.tickets.filter((t) => inWindow(t.resolvedAt));
+
+      const byPlan = {};
+      for (const t of created) {
+        const plan = usersById.get(t.userId)?.plan ?? "unknown";
+        byPlan[plan] ??= { total: 0, open: 0, closed: 0 };
+        byPlan[plan].total++;
+        byPlan[plan][isClosedStatus(t.status) ? "closed" : "open"]++;
+      }
+
+      const perDay = new Map(
+        window.map((day) => [day, { date: day, created: 0, resolved: 0 }])
+      );
+      for (const t of created) {
+        perDay.get(t.createdAt.slice(0, 10)).created++;
+      }
+      for (const t of resolved) {
+        perDay.get(t.resolvedAt.slice(0, 10)).resolved++;
+      }
+
+      const firstResponseHours = created.flatMap((t) => {
+        const reply = t.messages
+          .map(toMessage)
+          .find((m) => m.author === "agent" && m.at);
+        return reply
+          ? [hoursBetween(toTime(t.createdAt), toTime(reply.at))]
+          : [];
+      });
+
+      return jsonResult({
+        period: { from, to, days: window.length },
+        created: created.length,
+        open: created.filter((t) => !isClosedStatus(t.status)).length,
+        closed: created.filter((t) => isClosedStatus(t.status)).length,
+        resolvedInPeriod: resolved.length,
+        openNow: crm.tickets.filter((t) => !isClosedStatus(t.status)).length,
+        byStatus: countBy(created, (t) => t.status),
+        byPriority: countBy(created, (t) => t.priority),
+        byPlan,
+        perDay: [...perDay.values()],
+        medianFirstResponseHours: median(firstResponseHours),
+        medianResolutionHours: median(
+          resolved.map((t) =>
+            hoursBetween(toTime(t.createdAt), toTime(t.resolvedAt))
+          )
+        ),
+        topKeywords: topSubjectKeywords(created, topKeywords),
+      });
+    }
+
+    case "find_similar_tickets": {
+      const ticket = findTicket(args.ticket_id);
+      if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+      const threshold = args.threshold ?? DUPLICATE_THRESHOLD;
+      const minScore = args.min_score ?? Math.min(RELATED_THRESHOLD, threshold);
+      const errors = [];
+      for (const [field, value] of [
+        ["threshold", threshold],
+        ["min_score", minScore],
+      ]) {
+        if (typeof value !== "number" || value <= 0 || value > 1) {
+          errors.push(`${field}: ожидается число больше 0 и не больше 1`);
+        }
+      }
+      if (minScore > threshold) {
+        errors.push("min_score: не может быть больше threshold");
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const usersById = new Map(crm.users.map((u) => [u.id, u]));
+      const clusters = clusterSimilar(ticket, threshold, minScore)
+        .map((nodes) => {
+          const members = nodes.filter((n) => n.ticket.id !== ticket.id);
+          const round = (x) => Math.round(x * 1000) / 1000;
+          return {
+            containsTicket: members.length < nodes.length,
+            score: round(Math.max(...members.map((n) => n.score))),
+            suggestedCanonicalId: suggestCanonical(nodes.map((n) => n.ticket))
+              .id,
+            tickets: members
+              .sort((a, b) => b.score - a.score)
+              .map(({ ticket: t, score }) => ({
+                id: t.id,
+                subject: t.subject,
+                userName: usersById.get(t.userId)?.name,
+                status: t.status,
+                createdAt: t.createdAt,
+                similarity: round(score),
+                ...(t.duplicateOf && { duplicateOf: t.duplicateOf }),
+              })),
+          };
+        })
+        .filter((c) => c.tickets.length > 0)
+        .sort(
+          (a, b) => b.containsTicket - a.containsTicket || b.score - a.score
+        );
+
+      const duplicates = clusters.find((c) => c.containsTicket);
+      return jsonResult({
+        ticketId: ticket.id,
+        subject: ticket.subject,
+        threshold,
+        likelyDuplicates: duplicates ? duplicates.tickets.length : 0,
+        clusters: clusters.map(({ containsTicket, ...c }) => ({
+          kind: containsTicket ? "duplicates" : "related",
+          ...c,
+        })),
+      });
+    }
+
+    case "merge_tickets": {
+      const canonical = findTicket(args.canonical_id);
+      if (!canonical) {
+        return errorResult(`Тикет #${args.canonical_id} не найден`);
+      }
+      const errors = [];
+      if (canonical.duplicateOf) {
+        errors.push(
+          `canonical_id: тикет #${canonical.id} сам является дубликатом #${canonical.duplicateOf} — укажите его`
+        );
+      }
+      const ids = args.duplicate_ids;
+      if (!Array.isArray(ids) || ids.length === 0) {
+        errors.push("duplicate_ids: ожидается непустой массив ID тикетов");
+      } else {
+        for (const id of new Set(ids)) {
+          const t = findTicket(id);
+          if (!t) errors.push(`duplicate_ids: тикет #${id} не найден`);
+          else if (id === canonical.id) {
+            errors.push(`duplicate_ids: тикет #${id} — это основной тикет`);
+          } else if (t.duplicateOf && t.duplicateOf !== canonical.id) {
+            errors.push(
+              `duplicate_ids: тикет #${id} уже объединён с #${t.duplicateOf}`
+            );
+          }
+        }
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const now = new Date().toISOString();
+      const closeDuplicates = args.close_duplicates ?? true;
+      const merged = new Set(canonical.duplicates ?? []);
+      for (const id of new Set(ids)) {
+        const t = findTicket(id);
+        // Duplicates of a duplicate move over to the new canonical ticket
+        for (const nestedId of t.duplicates ?? []) {
+          findTicket(nestedId).duplicateOf = canonical.id;
+          merged.add(nestedId);
+        }
+        delete t.duplicates;
+        t.duplicateOf = canonical.id;
+        if (closeDuplicates && !isClosedStatus(t.status)) {
+          setStatus(t, "closed");
+        }
+        t.updatedAt = now;
+        merged.add(id);
+      }
+      canonical.duplicates = [...merged].sort((a, b) => a - b);
+      canonical.updatedAt = now;
+      store.save(crm);
+
+      return jsonResult({
+        canonicalId: canonical.id,
+        duplicates: canonical.duplicates,
+        closed: closeDuplicates,
+        message: `Объединено с тикетом #${canonical.id}: ${canonical.duplicates.map((id) => `#${id}`).join(", ")}`,
+      });
+    }
+
+    case "link_ticket_to_task": {
+      const ticket = findTicket(args.ticket_id);
+      if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+      const pm = tasksStore.load();
+      const task = pm.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+
+      const linked = !args.unlink;
+      const linkedTicketIds = task.linkedTicketIds ?? null;
+      const updatedAt = ticket.updatedAt;
+      const ticketChanged = setLinkedId(
+        ticket,
+        "linkedTaskIds",
+        task.id,
+        linked
       );
-      return {
-        content: [
+      const taskChanged = setLinkedId(
+        task,
+        "linkedTicketIds",
+        ticket.id,
+        linked
+      );
+      // crm.json first: if tasks.json can not be written after it, the ticket
+      // is put back, so neither side is left pointing at the other alone
+      if (ticketChanged) {
+        ticket.updatedAt = new Date().toISOString();
+        store.save(crm);
+      }
+      if (taskChanged) {
+        // Same rules as the PM server: every task mutation bumps its version
+        // and goes into the task history, where it can be undone
+        task.version = (task.version ?? 1) + 1;
+        recordChange(
+          pm,
+          task.id,
+          linked ? "link_ticket" : "unlink_ticket",
           {
-            type: "text",
-            text:
-              found.length > 0
-                ? JSON.stringify(found, null, 2)
-                : `Тикеты по запросу "${args.query}" не найдены`,
+            linkedTicketIds: {
+              from: linkedTicketIds,
+              to: task.linkedTicketIds ?? null,
+            },
           },
-        ],
+          args.actor
+        );
+        try {
+          tasksStore.save(pm);
+        } catch (err) {
+          if (ticketChanged) {
+            setLinkedId(ticket, "linkedTaskIds", task.id, !linked);
+            if (updatedAt === undefined) delete ticket.updatedAt;
+            else ticket.updatedAt = updatedAt;
+            store.save(crm);
+          }
+          throw err;
+        }
+      }
+
+      const changed = ticketChanged || taskChanged;
+      return jsonResult({
+        ticketId: ticket.id,
+        taskId: task.id,
+        linked,
+        linkedTaskIds: ticket.linkedTaskIds ?? [],
+        task: taskSummary(pm, task),
+        message: linked
+          ? changed
+            ? `Тикет #${ticket.id} связан с задачей #${task.id}`
+            : `Тикет #${ticket.id} уже связан с задачей #${task.id}`
+          : changed
+          ? `Связь тикета #${ticket.id} с задачей #${task.id} удалена`
+          : `Тикет #${ticket.id} не связан с задачей #${task.id}`,
+      });
+    }
+
+    case "get_linked_items": {
+      if ((args.ticket_id === undefined) === (args.task_id === undefined)) {
+        return validationError([
+          "ticket_id, task_id: укажите ровно один из параметров",
+        ]);
+      }
+      const pm = tasksStore.load();
+
+      if (args.ticket_id !== undefined) {
+        const ticket = findTicket(args.ticket_id);
+        if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+        const tasks = (ticket.linkedTaskIds ?? []).map((id) => {
+          const task = pm.tasks.find((t) => t.id === id);
+          return task
+            ? taskSummary(pm, task)
+            : { id, title: "неизвестна", status: "unknown" };
+        });
+        return jsonResult({
+          ticketId: ticket.id,
+          subject: ticket.subject,
+          status: ticket.status,
+          tasks,
+          allTasksDone:
+            tasks.length > 0 && tasks.every((t) => t.status === "done"),
+        });
+      }
+
+      const task = pm.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      const usersById = new Map(crm.users.map((u) => [u.id, u]));
+      return jsonResult({
+        task: taskSummary(pm, task),
+        tickets: (task.linkedTicketIds ?? []).map((id) => {
+          const ticket = findTicket(id);
+          return ticket
+            ? {
+                id: ticket.id,
+                subject: ticket.subject,
+                status: ticket.status,
+                priority: ticket.priority,
+                userName: usersById.get(ticket.userId)?.name,
+                plan: usersById.get(ticket.userId)?.plan,
+              }
+            : { id, subject: "неизвестен", status: "unknown" };
+        }),
+      });
+    }
+
+    case "create_ticket": {
+      const errors = [];
+      if (!crm.users.some((u) => u.id === args.user_id)) {
+        errors.push(`user_id: пользователь #${args.user_id} не найден`);
+      }
+      checkNonEmpty(errors, args, "subject");
+      checkNonEmpty(errors, args, "message");
+      checkEnum(errors, args, "priority", TICKET_PRIORITIES);
+      if (errors.length > 0) return validationError(errors);
+
+      const now = new Date().toISOString();
+      const ticket = {
+        id: crm.tickets.reduce((max, t) => Math.max(max, t.id), 0) + 1,
+        userId: args.user_id,
+        status: "open",
+        priority: args.priority ?? "medium",
+        subject: args.subject.trim(),
+        createdAt: now,
+        messages: [{ author: "customer", text: args.message.trim(), at: now }],
+        assigneeId: null,
+        updatedAt: now,
       };
+      crm.tickets.push(ticket);
+      store.save(crm);
+
+      return jsonResult({
+        ...ticketView(ticket),
+        message: `Тикет #${ticket.id} создан`,
+      });
+    }
+
+    case "add_message": {
+      const ticket = findTicket(args.ticket_id);
+      if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+      const errors = [];
+      checkEnum(errors, args, "author", MESSAGE_AUTHORS);
+      if (args.author === undefined) errors.push("author: обязательное поле");
+      checkNonEmpty(errors, args, "text");
+      checkAgent(errors, args.agent_id);
+      if (ticket.status === "closed") {
+        errors.push(`ticket_id: тикет #${ticket.id} закрыт`);
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const now = new Date().toISOString();
+      const message = { author: args.author, text: args.text.trim(), at: now };
+      if (args.author === "agent" && args.agent_id !== undefined) {
+        message.agentId = args.agent_id;
+      }
+      ticket.messages.push(message);
+      const previousStatus = ticket.status;
+      if (
+        args.author === "customer" &&
+        (ticket.status === "waiting_customer" || ticket.status === "resolved")
+      ) {
+        setStatus(ticket, "open");
+      }
+      ticket.updatedAt = now;
+      store.save(crm);
+
+      return jsonResult({
+        ticketId: ticket.id,
+        message,
+        status: ticket.status,
+        ...(previousStatus !== ticket.status && {
+          statusChange: `${previousStatus} → ${ticket.status}`,
+        }),
+        totalMessages: ticket.messages.length,
+      });
+    }
+
+    case "set_ticket_status":
+    case "set_ticket_priority": {
+      const ticket = findTicket(args.ticket_id);
+      if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+      const field = name === "set_ticket_status" ? "status" : "priority";
+      const errors = [];
+      if (args[field] === undefined) errors.push(`${field}: обязательное поле`);
+      checkEnum(
+        errors,
+        args,
+        field,
+        field === "status" ? TICKET_STATUSES : TICKET_PRIORITIES
+      );
+      if (errors.length > 0) return validationError(errors);
+
+      const previous = ticket[field];
+      if (previous !== args[field]) {
+        if (field === "status") setStatus(ticket, args.status);
+        else ticket.priority = args.priority;
+        ticket.updatedAt = new Date().toISOString();
+        store.save(crm);
+      }
+
+      return jsonResult({
+        ticketId: ticket.id,
+        [field]: ticket[field],
+        change:
+          previous === ticket[field]
+            ? "без изменений"
+            : `${previous} → ${ticket[field]}`,
+      });
+    }
+
+    case "assign_ticket": {
+      const ticket = findTicket(args.ticket_id);
+      if (!ticket) return errorResult(`Тикет #${args.ticket_id} не найден`);
+      const errors = [];
+      if (args.agent_id === undefined) errors.push("agent_id: обязательное поле");
+      checkAgent(errors, args.agent_id);
+      if (errors.length > 0) return validationError(errors);
+
+      ticket.assigneeId = args.agent_id;
+      ticket.updatedAt = new Date().toISOString();
+      store.save(crm);
+      const agent = (crm.agents ?? []).find((a) => a.id === args.agent_id);
+
+      return jsonResult({
+        ticketId: ticket.id,
+        assigneeId: ticket.assigneeId,
+        assigneeName: agent ? agent.name : null,
+        message: agent
+          ? `Тикет #${ticket.id} назначен: ${agent.name}`
+          : `С тикета #${ticket.id} снято назначение`,
+      });
     }
 
     default:
-      return {
-        content: [{ type: "text", text: `Неизвестный инструмент: ${name}` }],
-        isError: true,
-      };
+      return errorResult(`Неизвестный инструмент: ${name}`);
   }
-});
+}
+
+// ---- Resources ----
+const SUMMARY_RESOURCE = {
+  uri: "crm://summary",
+  name: "Сводка CRM",
+  description:
+    "Число пользователей и агентов, тикеты по статусам и приоритетам, политика SLA. Сами тикеты и пользователи — по шаблонам crm://ticket/{id} и crm://user/{id}",
+  mimeType: "application/json",
+};
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "crm://ticket/{id}",
+    name: "Тикет",
+    description: "Тикет с сообщениями, клиентом и назначенным агентом",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "crm://user/{id}",
+    name: "Пользователь",
+    description: "Пользователь и список его тикетов",
+    mimeType: "application/json",
+  },
+];
+
+const ENTITY_URI_RE = /^crm:\/\/(ticket|user)\/(\d+)$/;
+
+// Unredacted resource value; callers that hand it out redact it.
+function crmResourceValue(uri) {
+  if (uri === SUMMARY_RESOURCE.uri) {
+    return {
+      users: crm.users.length,
+      agents: (crm.agents ?? []).length,
+      tickets: {
+        total: crm.tickets.length,
+        byStatus: countBy(crm.tickets, (t) => t.status),
+        byPriority: countBy(crm.tickets, (t) => t.priority),
+      },
+      sla: crm.sla,
+    };
+  }
+  const match = ENTITY_URI_RE.exec(uri);
+  if (match?.[1] === "ticket") {
+    const ticket = findTicket(Number(match[2]));
+    if (ticket) return ticketView(ticket, { withSla: false });
+  } else if (match?.[1] === "user") {
+    const user = crm.users.find((u) => u.id === Number(match[2]));
+    if (user) {
+      const tickets = crm.tickets
+        .filter((t) => t.userId === user.id)
+        .map(({ id, subject, status, priority, createdAt }) => ({
+          id,
+          subject,
+          status,
+          priority,
+          createdAt,
+        }));
+      return { ...user, tickets };
+    }
+  }
+  throw resourceNotFound(uri);
+}
+
+// Unredacted, for change detection of subscriptions
+function readCrmResource(uri) {
+  return JSON.stringify(crmResourceValue(uri), null, 2);
+}
+
+function resourceContents(uri) {
+  return {
+    uri,
+    mimeType: "application/json",
+    text: JSON.stringify(redactor.redactValue(crmResourceValue(uri)), null, 2),
+  };
+}
+
+const subscriptions = createSubscriptions(readCrmResource);
+
+function registerResourceHandlers(server) {
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) =>
+    paginate(
+      [
+        () => SUMMARY_RESOURCE,
+        ...crm.tickets.map((t) => () => ({
+          uri: `crm://ticket/${t.id}`,
+          name: redactor.redactText(`Тикет #${t.id}: ${t.subject}`),
+          mimeType: "application/json",
+        })),
+        // Names stay out of the listing; they are PII
+        ...crm.users.map((u) => () => ({
+          uri: `crm://user/${u.id}`,
+          name: `Пользователь #${u.id} (${u.plan})`,
+          mimeType: "application/json",
+        })),
+      ],
+      request.params?.cursor
+    )
+  );
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES,
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [resourceContents(request.params.uri)],
+  }));
+
+  subscriptions.attach(server);
+}
+
+// ---- Prompts ----
+const PROMPTS = [
+  {
+    name: "triage_ticket",
+    description:
+      "Разбор тикета: суть проблемы, категория, приоритет, риск по SLA, возможные дубликаты и черновик ответа клиенту",
+    arguments: [
+      { name: "ticket_id", description: "ID тикета", required: true },
+    ],
+  },
+];
+
+function promptArgumentId(args, name) {
+  const value = Number(args?.[name]);
+  if (!Number.isInteger(value)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${name}: ожидается целое число, получено "${args?.[name] ?? ""}"`
+    );
+  }
+  return value;
+}
+
+function triageTicketPrompt(args) {
+  const ticketId = promptArgumentId(args, "ticket_id");
+  const ticket = findTicket(ticketId);
+  if (!ticket) {
+    throw new McpError(ErrorCode.InvalidParams, `Тикет #${ticketId} не найден`);
+  }
+  const user = crm.users.find((u) => u.id === ticket.userId);
+  const sla = slaStatus(ticket);
+  const similar = clusterSimilar(ticket, DUPLICATE_THRESHOLD, RELATED_THRESHOLD)
+    .flat()
+    .filter((n) => n.ticket.id !== ticket.id)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+
+  const lines = [
+    `Разбери тикет #${ticket.id} (ресурс выше).`,
+    "",
+    `Тариф клиента: ${user?.plan ?? "неизвестен"}. Текущий приоритет: ${ticket.priority}. Статус: ${ticket.status}.`,
+    sla
+      ? `SLA: ${sla.clocks
+          .map((c) => `${c.target} — ${c.state}, срок ${c.dueAt}`)
+          .join("; ")}.`
+      : "SLA для этого тарифа и приоритета не задан.",
+    similar.length > 0
+      ? `Похожие тикеты: ${similar
+          .map(
+            ({ ticket: t, score }) =>
+              `#${t.id} «${t.subject}» (${t.status}, сходство ${score.toFixed(2)})`
+          )
+          .join("; ")}.`
+      : "Похожих тикетов не найдено.",
+    "",
+    "Ответь по пунктам:",
+    "1. Суть проблемы в одном-двух предложениях.",
+    "2. Категория (авторизация, интеграция, производительность, индексация, вопрос по использованию, другое).",
+    "3. Рекомендуемый приоритет и нужна ли эскалация (escalate_ticket), с учётом тарифа и SLA.",
+    "4. Дубликат ли это одного из похожих тикетов — если да, какой тикет основной (merge_tickets).",
+    "5. Кому из агентов поддержки назначить (assign_ticket).",
+    "6. Черновик ответа клиенту на русском языке.",
+  ];
+  return {
+    description: `Разбор тикета #${ticket.id}`,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "resource",
+          resource: resourceContents(`crm://ticket/${ticket.id}`),
+        },
+      },
+      {
+        role: "user",
+        content: { type: "text", text: redactor.redactText(lines.join("\n")) },
+      },
+    ],
+  };
+}
+
+function registerPromptHandlers(server) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: PROMPTS,
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    switch (name) {
+      case "triage_ticket":
+        return triageTicketPrompt(args);
+      default:
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Неизвестный промпт: ${name}`
+        );
+    }
+  });
+}
+
+// ---- Hot reload ----
+// Support staff and import jobs edit crm.json while the server runs. Tool
+// handlers are synchronous, so replacing `crm` between events never changes the
+// data under a request in flight.
+function logReloadError(err) {
+  console.error(
+    `CRM data reload failed, keeping the last good snapshot: ${err.message}`
+  );
+}
+
+function reloadCrm() {
+  let next;
+  try {
+    next = checkCrm(store.load());
+  } catch (err) {
+    logReloadError(err);
+    return;
+  }
+  const text = JSON.stringify(next);
+  if (text === crmText) return;
+
+  crm = next;
+  crmText = text;
+  console.error(
+    `CRM data reloaded: ${crm.users.length} users, ${crm.tickets.length} tickets`
+  );
+  subscriptions.notifyChanged();
+}
+
+store.watch(reloadCrm);
 
 // ---- Start ----
-const transport = new StdioServerTransport();
-await server.connect(transport);
+if (redactor.enabled) {
+  console.error(
+    `PII redaction: ${redactionMode} (${redactionCategories.join(", ")})`
+  );
+}
+await startServer(createServer, {
+  name: "crm-server",
+  defaultPort: 3102,
+  argv: process.argv.slice(2),
+});
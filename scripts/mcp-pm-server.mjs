@@ -1,27 +1,1102 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ErrorCode,
+  McpError,
 } from "@modelcontextprotocol/sdk/types.js";
-import { readFileSync, writeFileSync } from "node:fs";
+import { readFileSync } from "node:fs";
+import { buildBurndown, getSprintTasks } from "./lib/burndown.mjs";
+import { addDays, eachDay, isValidDate, isoToday } from "./lib/dates.mjs";
+import {
+  createSubscriptions,
+  paginate,
+  resourceNotFound,
+} from "./lib/resources.mjs";
+import { openStore } from "./lib/storage.mjs";
+import { recordChange } from "./lib/task-history.mjs";
+import { createBm25Index, stems } from "./lib/text-search.mjs";
+import { errorResult, jsonResult, textResult } from "./lib/tool-results.mjs";
+import { startServer } from "./lib/transport.mjs";
 
 // ---- Load project data ----
-const dataPath = new URL("../data/tasks.json", import.meta.url);
+const store = await openStore("tasks");
+const { load: loadData, save: saveData, withLock: withDataLock } = store;
+
+// ---- Validation ----
+const STATUSES = ["todo", "in_progress", "review", "done"];
+const PRIORITIES = ["low", "medium", "high", "critical"];
+
+// Used when tasks.json has no "workflow" section of its own.
+const DEFAULT_WORKFLOW = {
+  transitions: {
+    todo: ["in_progress"],
+    in_progress: ["todo", "review"],
+    review: ["in_progress", "done"],
+    done: ["in_progress"],
+  },
+  requireResolvedBlockers: ["done"],
+};
+
+function getWorkflow(data) {
+  return data.workflow ?? DEFAULT_WORKFLOW;
+}
+
+// Checks task fields present in args; returns a list of problems (empty if valid).
+function validateTaskFields(data, args) {
+  const errors = [];
+  for (const field of ["title", "description"]) {
+    if (
+      args[field] !== undefined &&
+      (typeof args[field] !== "string" || !args[field].trim())
+    ) {
+      errors.push(`${field}: ожидается непустая строка`);
+    }
+  }
+  if (args.status !== undefined && !STATUSES.includes(args.status)) {
+    errors.push(
+      `status: "${args.status}" — допустимые значения: ${STATUSES.join(", ")}`
+    );
+  }
+  if (args.priority !== undefined && !PRIORITIES.includes(args.priority)) {
+    errors.push(
+      `priority: "${args.priority}" — допустимые значения: ${PRIORITIES.join(", ")}`
+    );
+  }
+  if (
+    args.assignee_id !== undefined &&
+    !data.members.some((m) => m.id === args.assignee_id)
+  ) {
+    errors.push(
+      `assignee_id: член команды #${args.assignee_id} не найден — доступны: ${data.members.map((m) => `${m.id} (${m.name})`).join(", ")}`
+    );
+  }
+  if (
+    args.deadline !== undefined &&
+    args.deadline !== null &&
+    !isValidDate(args.deadline)
+  ) {
+    errors.push(
+      `deadline: "${args.deadline}" — ожидается существующая дата в формате YYYY-MM-DD`
+    );
+  }
+  if (args.sprint_id !== undefined && args.sprint_id !== null) {
+    const sprint = (data.sprints ?? []).find((sp) => sp.id === args.sprint_id);
+    if (!sprint) {
+      errors.push(`sprint_id: спринт #${args.sprint_id} не найден`);
+    } else if (sprint.status === "closed") {
+      errors.push(`sprint_id: спринт "${sprint.name}" уже закрыт`);
+    }
+  }
+  if (
+    args.tags !== undefined &&
+    (!Array.isArray(args.tags) ||
+      args.tags.some((tag) => typeof tag !== "string" || !tag.trim()))
+  ) {
+    errors.push("tags: ожидается массив непустых строк");
+  }
+  return errors;
+}
+
+// Returns why task cannot move to `status` under the workflow, or null if it can.
+function checkTransition(data, task, status) {
+  const workflow = getWorkflow(data);
+  const allowed = workflow.transitions[task.status] ?? [];
+  if (!allowed.includes(status)) {
+    return `status: переход ${task.status} → ${status} запрещён, из "${task.status}" можно перейти в: ${allowed.join(", ") || "—"}`;
+  }
+  if (workflow.requireResolvedBlockers?.includes(status)) {
+    const openBlockers = task.blockedBy
+      .map((bid) => data.tasks.find((t) => t.id === bid))
+      .filter((bt) => bt && bt.status !== "done");
+    if (openBlockers.length > 0) {
+      return `status: нельзя перевести в ${status}, пока открыты блокирующие задачи ${openBlockers.map((bt) => `#${bt.id} (${bt.status})`).join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Optimistic concurrency: every mutation bumps the task version, and callers
+// may pass the version they last saw to detect concurrent edits.
+function bumpVersion(task) {
+  task.version = (task.version ?? 1) + 1;
+}
+
+function versionConflict(task, expectedVersion) {
+  if (expectedVersion === undefined) return null;
+  const current = task.version ?? 1;
+  if (current === expectedVersion) return null;
+  return errorResult(
+    `Конфликт версий: задача #${task.id} уже изменена (текущая версия ${current}, ожидалась ${expectedVersion}). Перечитайте задачу и повторите изменение`
+  );
+}
+
+// Tool argument → task field, for everything patch_task may change.
+const PATCHABLE_FIELDS = {
+  title: "title",
+  description: "description",
+  status: "status",
+  priority: "priority",
+  assignee_id: "assigneeId",
+  deadline: "deadline",
+  tags: "tags",
+  sprint_id: "sprintId",
+};
+
+// Validates the given fields (undefined = leave as is), applies the ones that
+// differ and records them in history. Returns { errors } or { diff }.
+function patchTask(data, task, fields, action, actor) {
+  const errors = validateTaskFields(data, fields);
+  if (errors.length === 0 && fields.tags !== undefined) {
+    fields = { ...fields, tags: normalizeTags(fields.tags) };
+  }
+  if (
+    errors.length === 0 &&
+    fields.status !== undefined &&
+    fields.status !== task.status
+  ) {
+    const transitionError = checkTransition(data, task, fields.status);
+    if (transitionError) errors.push(transitionError);
+  }
+  if (errors.length > 0) return { errors };
+
+  const diff = {};
+  for (const [arg, field] of Object.entries(PATCHABLE_FIELDS)) {
+    if (fields[arg] === undefined) continue;
+    const from = task[field] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(fields[arg])) continue;
+    diff[field] = { from, to: fields[arg] };
+    task[field] = fields[arg];
+  }
+  if (Object.keys(diff).length > 0) {
+    bumpVersion(task);
+    recordChange(data, task.id, action, diff, actor);
+  }
+  return { diff };
+}
+
+function normalizeTag(tag) {
+  return typeof tag === "string" ? tag.trim().toLowerCase() : "";
+}
+
+// Tags are stored normalized and without repeats, in the order given
+function normalizeTags(tags) {
+  return [...new Set(tags.map(normalizeTag))];
+}
+
+function validationError(errors) {
+  return errorResult(
+    `Некорректные параметры:\n${errors.map((e) => `- ${e}`).join("\n")}`
+  );
+}
+
+// ---- History ----
+const FIELD_LABELS = {
+  title: "название",
+  description: "описание",
+  status: "статус",
+  priority: "приоритет",
+  assigneeId: "исполнитель",
+  deadline: "дедлайн",
+  tags: "теги",
+  blockedBy: "блокирующие задачи",
+  sprintId: "спринт",
+  linkedTicketIds: "связанные тикеты",
+  comments: "комментарии",
+};
+
+function formatFieldValue(data, field, value) {
+  if (value === null || value === undefined) {
+    return field === "sprintId" ? "бэклог" : "—";
+  }
+  if (field === "assigneeId") {
+    const member = data.members.find((m) => m.id === value);
+    return member?.name || String(value);
+  }
+  if (field === "sprintId") {
+    const sprint = (data.sprints ?? []).find((sp) => sp.id === value);
+    return sprint?.name || `#${value}`;
+  }
+  if (field === "comments") return `${value.length} шт.`;
+  if (field === "blockedBy" || field === "linkedTicketIds") {
+    return value.length > 0 ? value.map((id) => `#${id}`).join(", ") : "—";
+  }
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "—";
+  return String(value);
+}
+
+// Human-readable lines for a { field: { from, to } } diff.
+function describeChanges(data, diff) {
+  return Object.entries(diff).map(
+    ([field, { from, to }]) =>
+      `${FIELD_LABELS[field] ?? field}: ${formatFieldValue(data, field, from)} → ${formatFieldValue(data, field, to)}`
+  );
+}
+
+// ---- Sprints ----
+
+function getCurrentSprint(data) {
+  return (data.sprints ?? []).find(
+    (sp) => sp.id === data.project.currentSprintId
+  );
+}
+
+// currentSprint, sprintGoal, startDate and endDate of the project repeat the
+// current sprint for clients that read them before there were sprints.
+function setCurrentSprint(data, sprint) {
+  data.project.currentSprintId = sprint?.id ?? null;
+  data.project.currentSprint = sprint?.name ?? null;
+  data.project.sprintGoal = sprint?.goal ?? null;
+  data.project.startDate = sprint?.startDate ?? null;
+  data.project.endDate = sprint?.endDate ?? null;
+}
+
+// ---- Task search ----
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 2, description: 1, comments: 1 };
+const SEARCH_SORTS = ["relevance", "priority", "deadline", "created", "id"];
+const SEARCH_MAX_LIMIT = 100;
+
+function hasOpenBlockers(data, task) {
+  return task.blockedBy.some((bid) => {
+    const bt = data.tasks.find((t) => t.id === bid);
+    return bt && bt.status !== "done";
+  });
+}
+
+// Field-weighted BM25 over title, tags, description and comments, with the
+// stemming and typo tolerance of lib/text-search.mjs. Returns only tasks that
+// match at least one query word.
+function rankTasksByText(tasks, query) {
+  const docs = tasks.map((task) => ({
+    id: task.id,
+    fields: {
+      title: task.title,
+      tags: task.tags.join(" "),
+      description: task.description ?? "",
+      comments: (task.comments ?? []).map((c) => c.text).join("\n"),
+    },
+  }));
+  const byId = new Map(
+    docs.map((doc, i) => [doc.id, { doc, task: tasks[i] }])
+  );
+  return createBm25Index(docs, SEARCH_FIELD_WEIGHTS)
+    .search(query)
+    .map(({ id, score, matchedTerms }) => {
+      const { doc, task } = byId.get(id);
+      const matched = new Set(matchedTerms);
+      const matchedIn = Object.entries(doc.fields)
+        .filter(([, text]) => stems(text).some((term) => matched.has(term)))
+        .map(([field]) => field);
+      return { task, score, matchedIn };
+    });
+}
+
+function compareBySort(sortBy, a, b) {
+  switch (sortBy) {
+    case "relevance":
+      return b.score - a.score || compareTasks(a.task, b.task);
+    case "deadline": {
+      const da = a.task.deadline || "9999-99-99";
+      const db = b.task.deadline || "9999-99-99";
+      return da < db ? -1 : da > db ? 1 : compareTasks(a.task, b.task);
+    }
+    case "created":
+      return a.task.createdAt < b.task.createdAt
+        ? -1
+        : a.task.createdAt > b.task.createdAt
+          ? 1
+          : a.task.id - b.task.id;
+    case "id":
+      return a.task.id - b.task.id;
+    default:
+      return compareTasks(a.task, b.task);
+  }
+}
+
+// ---- Workload ----
+const PRIORITY_WEIGHT = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Tags that signal work for a role, besides the role name itself.
+const ROLE_TAGS = {
+  backend: ["backend", "api", "performance", "integration", "search", "research"],
+  frontend: ["frontend", "ui", "ux", "dashboard"],
+  devops: ["devops", "ci", "deploy", "infra", "monitoring"],
+  qa: ["qa", "testing", "tests", "unit-tests"],
+};
+
+// Score weights for suggest_assignee: a fitting role outweighs several extra
+// tasks, but not a pile of urgent overdue ones.
+const ROLE_MATCH_WEIGHT = 20;
+const LOAD_WEIGHT = 1;
+const PRESSURE_WEIGHT = 0.5;
+const PRESSURE_HORIZON_DAYS = 7;
+// Share of lower-priority work that counts against a new task: it can wait.
+const LOWER_PRIORITY_SHARE = 0.5;
+
+function openTasksOf(data, memberId, excludeTaskId) {
+  return data.tasks.filter(
+    (t) =>
+      t.assigneeId === memberId && t.status !== "done" && t.id !== excludeTaskId
+  );
+}
+
+// Open work weighted by priority; a task in review needs half the effort.
+function weightedLoad(tasks) {
+  return tasks.reduce(
+    (sum, t) =>
+      sum +
+      (PRIORITY_WEIGHT[t.priority] ?? 1) * (t.status === "review" ? 0.5 : 1),
+    0
+  );
+}
+
+// The part of weightedLoad that competes with a task of `priority`.
+function competingLoad(tasks, priority) {
+  const rank = PRIORITY_WEIGHT[priority];
+  if (!rank) return weightedLoad(tasks);
+  return tasks.reduce((sum, t) => {
+    const weight = PRIORITY_WEIGHT[t.priority] ?? 1;
+    return (
+      sum +
+      weight *
+        (t.status === "review" ? 0.5 : 1) *
+        (weight < rank ? LOWER_PRIORITY_SHARE : 1)
+    );
+  }, 0);
+}
+
+// Priority-weighted open tasks due by `horizon`; overdue ones count double.
+function deadlinePressure(tasks, horizon) {
+  const now = isoToday();
+  return tasks
+    .filter((t) => t.deadline && t.deadline <= horizon)
+    .reduce(
+      (sum, t) =>
+        sum + (PRIORITY_WEIGHT[t.priority] ?? 1) * (t.deadline < now ? 2 : 1),
+      0
+    );
+}
+
+// Share of the tags that fit the member's role (0..1).
+function roleMatch(member, tags) {
+  if (tags.length === 0) return 0;
+  const roleTags = ROLE_TAGS[member.role] ?? [];
+  const matching = tags.filter(
+    (tag) => tag === member.role || roleTags.includes(tag)
+  );
+  return matching.length / tags.length;
+}
+
+// Ranks members for a task described by tags/priority/deadline, best first.
+function rankAssignees(
+  data,
+  { tags = [], priority = null, deadline = null, excludeTaskId }
+) {
+  const horizon = deadline ?? addDays(isoToday(), PRESSURE_HORIZON_DAYS);
+  return data.members
+    .map((member) => {
+      const open = openTasksOf(data, member.id, excludeTaskId);
+      const match = roleMatch(member, tags);
+      const load = weightedLoad(open);
+      const competing = competingLoad(open, priority);
+      const pressure = deadlinePressure(open, horizon);
+      const score =
+        ROLE_MATCH_WEIGHT * match -
+        LOAD_WEIGHT * competing -
+        PRESSURE_WEIGHT * pressure;
+      return {
+        member,
+        roleMatch: Math.round(match * 100) / 100,
+        load,
+        competingLoad: competing,
+        pressure,
+        openTasks: open.length,
+        score: Math.round(score * 100) / 100,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.competingLoad - b.competingLoad ||
+        a.load - b.load
+    );
+}
+
+function describeCandidate(c) {
+  const reasons = [];
+  reasons.push(
+    c.roleMatch > 0
+      ? `роль ${c.member.role} подходит к ${Math.round(c.roleMatch * 100)}% тегов`
+      : `роль ${c.member.role} не совпадает с тегами`
+  );
+  reasons.push(`загрузка ${c.load} (${c.openTasks} открытых задач)`);
+  if (c.competingLoad !== c.load) {
+    reasons.push(
+      `с учётом приоритета задачи ${c.competingLoad}: младшие задачи — наполовину`
+    );
+  }
+  if (c.pressure > 0) reasons.push(`давление дедлайнов ${c.pressure}`);
+  return reasons.join(", ");
+}
+
+// Greedy plan: move "todo" tasks off members whose load exceeds the average by
+// more than `tolerance` to the best-fitting member that stays under the limit.
+function planRebalance(data, tolerance) {
+  const loads = new Map(
+    data.members.map((m) => [m.id, weightedLoad(openTasksOf(data, m.id))])
+  );
+  const average =
+    [...loads.values()].reduce((a, b) => a + b, 0) / (data.members.length || 1);
+  const limit = average * (1 + tolerance);
+  const moves = [];
+  const unresolved = [];
+
+  const overloaded = data.members
+    .filter((m) => loads.get(m.id) > limit)
+    .sort((a, b) => loads.get(b.id) - loads.get(a.id));
+
+  for (const member of overloaded) {
+    const movable = openTasksOf(data, member.id)
+      .filter((t) => t.status === "todo")
+      .sort((a, b) => compareTasks(b, a));
+    for (const task of movable) {
+      if (loads.get(member.id) <= limit) break;
+      const weight = PRIORITY_WEIGHT[task.priority] ?? 1;
+      const target = rankAssignees(data, {
+        tags: task.tags,
+        priority: task.priority,
+        deadline: task.deadline,
+        excludeTaskId: task.id,
+      }).find(
+        (c) =>
+          c.member.id !== member.id &&
+          loads.get(c.member.id) + weight <= limit &&
+          (task.tags.length === 0 || c.roleMatch > 0)
+      );
+      if (!target) continue;
+
+      loads.set(member.id, loads.get(member.id) - weight);
+      loads.set(target.member.id, loads.get(target.member.id) + weight);
+      moves.push({ task, from: member, to: target.member, candidate: target });
+    }
+    if (loads.get(member.id) > limit) {
+      unresolved.push(member);
+    }
+  }
+
+  return { average, limit, loads, moves, unresolved };
+}
+
+// ---- Dependency graph ----
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
 
-function loadData() {
-  return JSON.parse(readFileSync(dataPath, "utf-8"));
+function isOpen(task) {
+  return task.status !== "done";
 }
 
-function saveData(data) {
-  writeFileSync(dataPath, JSON.stringify(data, null, 2), "utf-8");
+// Order used whenever several tasks are equally ready: priority, deadline, id.
+function compareTasks(a, b) {
+  const byPriority =
+    (PRIORITY_RANK[a.priority] ?? 9) - (PRIORITY_RANK[b.priority] ?? 9);
+  if (byPriority !== 0) return byPriority;
+  const da = a.deadline || "9999-99-99";
+  const db = b.deadline || "9999-99-99";
+  if (da !== db) return da < db ? -1 : 1;
+  return a.id - b.id;
+}
+
+// Returns the chain of IDs fromId → … → targetId following blockedBy, or null.
+function findDependencyPath(tasks, fromId, targetId) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const visited = new Set();
+
+  function walk(id, path) {
+    if (id === targetId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+    const task = byId.get(id);
+    if (!task) return null;
+    for (const bid of task.blockedBy) {
+      const found = walk(bid, [...path, id]);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  return walk(fromId, []);
+}
+
+function buildDependencyGraph(tasks) {
+  const open = tasks.filter(isOpen);
+  const byId = new Map(open.map((t) => [t.id, t]));
+  const dependents = new Map(open.map((t) => [t.id, []]));
+  const indegree = new Map(open.map((t) => [t.id, 0]));
+  const edges = [];
+
+  // Only open blockers hold a task back; finished ones are satisfied edges.
+  for (const t of open) {
+    for (const bid of t.blockedBy) {
+      if (!byId.has(bid)) continue;
+      edges.push({ from: bid, to: t.id });
+      dependents.get(bid).push(t.id);
+      indegree.set(t.id, indegree.get(t.id) + 1);
+    }
+  }
+
+  // Kahn's algorithm, picking the most urgent ready task first
+  const ready = open.filter((t) => indegree.get(t.id) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    ready.sort(compareTasks);
+    const task = ready.shift();
+    order.push(task);
+    for (const did of dependents.get(task.id)) {
+      indegree.set(did, indegree.get(did) - 1);
+      if (indegree.get(did) === 0) ready.push(byId.get(did));
+    }
+  }
+  const inCycle = open
+    .filter((t) => !order.includes(t))
+    .map((t) => t.id);
+
+  // Longest chain of open tasks — nothing at its end can finish sooner
+  const chainLength = new Map();
+  const previous = new Map();
+  for (const task of order) {
+    if (!chainLength.has(task.id)) chainLength.set(task.id, 1);
+    for (const did of dependents.get(task.id)) {
+      const candidate = chainLength.get(task.id) + 1;
+      if (candidate > (chainLength.get(did) ?? 1)) {
+        chainLength.set(did, candidate);
+        previous.set(did, task.id);
+      }
+    }
+  }
+  let tail = null;
+  for (const task of order) {
+    if (tail === null || chainLength.get(task.id) > chainLength.get(tail)) {
+      tail = task.id;
+    }
+  }
+  const criticalPath = [];
+  for (let id = tail; id !== null && id !== undefined; id = previous.get(id)) {
+    criticalPath.unshift(byId.get(id));
+  }
+
+  // How many open tasks wait (directly or transitively) on each task
+  function countDownstream(id, seen = new Set()) {
+    for (const did of dependents.get(id)) {
+      if (seen.has(did)) continue;
+      seen.add(did);
+      countDownstream(did, seen);
+    }
+    return seen.size;
+  }
+  const bottlenecks = open
+    .map((t) => ({ task: t, blocks: countDownstream(t.id) }))
+    .filter((b) => b.blocks > 0)
+    .sort((a, b) => b.blocks - a.blocks || compareTasks(a.task, b.task));
+
+  return { open, edges, order, criticalPath, bottlenecks, inCycle };
+}
+
+// ---- Import / export ----
+const EXPORT_FORMATS = ["csv", "markdown", "ics"];
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assignee_id",
+  "assignee",
+  "deadline",
+  "tags",
+  "blocked_by",
+  "sprint_id",
+  "sprint",
+  "created_at",
+];
+const STATUS_TITLES = {
+  todo: "К выполнению",
+  in_progress: "В работе",
+  review: "На ревью",
+  done: "Готово",
+};
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(data, tasks) {
+  const rows = tasks.map((t) => {
+    const member = data.members.find((m) => m.id === t.assigneeId);
+    return [
+      t.id,
+      t.title,
+      t.description,
+      t.status,
+      t.priority,
+      t.assigneeId,
+      member?.name,
+      t.deadline,
+      t.tags.join(";"),
+      t.blockedBy.join(";"),
+      t.sprintId,
+      formatFieldValue(data, "sprintId", t.sprintId ?? null),
+      t.createdAt,
+    ];
+  });
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n");
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+function toMarkdownBoard(data, tasks, title) {
+  const lines = [`# ${title}`, ""];
+  for (const status of STATUSES) {
+    const column = tasks
+      .filter((t) => t.status === status)
+      .sort(compareTasks);
+    lines.push(`## ${STATUS_TITLES[status]} (${column.length})`, "");
+    if (column.length === 0) lines.push("_нет задач_");
+    for (const t of column) {
+      const member = data.members.find((m) => m.id === t.assigneeId);
+      const details = [
+        t.priority,
+        member ? member.name : "не назначен",
+        t.deadline && `до ${t.deadline}`,
+        t.blockedBy.length > 0 &&
+          `ждёт ${t.blockedBy.map((id) => `#${id}`).join(", ")}`,
+      ].filter(Boolean);
+      const tags = t.tags.map((tag) => `\`${tag}\``).join(" ");
+      lines.push(
+        `- [${status === "done" ? "x" : " "}] **#${t.id}** ${t.title} — ${details.join(", ")}${tags ? ` ${tags}` : ""}`
+      );
+    }
+    lines.push("");
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets continue on lines starting with a space.
+function icsFold(line) {
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function toIcs(data, tasks) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${icsText(data.project.name)}//pm-server//RU`,
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsText(`${data.project.name} — дедлайны`)}`,
+  ];
+  for (const t of tasks.filter((task) => task.deadline)) {
+    const member = data.members.find((m) => m.id === t.assigneeId);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:task-${t.id}@${data.project.name.toLowerCase()}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${t.deadline.replace(/-/g, "")}`,
+      `DTEND;VALUE=DATE:${addDays(t.deadline, 1).replace(/-/g, "")}`,
+      `SUMMARY:${icsText(`#${t.id} ${t.title}${t.status === "done" ? " ✓" : ""}`)}`,
+      `DESCRIPTION:${icsText(`Статус: ${t.status}, приоритет: ${t.priority}, исполнитель: ${member ? member.name : "не назначен"}\n${t.description}`)}`,
+      // An empty CATEGORIES value is invalid, untagged tasks go without it
+      ...(t.tags.length > 0
+        ? [`CATEGORIES:${t.tags.map(icsText).join(",")}`]
+        : []),
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Turns CSV rows into task field sets keyed by row number; columns that are
+// absent leave the field untouched, empty id means a new task.
+function readImportRows(rows) {
+  const [header, ...body] = rows;
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const missing = ["title"].filter((c) => !columns.includes(c));
+  if (missing.length > 0) {
+    return { errors: [`заголовок CSV: нет колонки ${missing.join(", ")}`] };
+  }
+  const list = (cell) =>
+    cell
+      .split(";")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  const number = (cell) => (cell.trim() === "" ? null : Number(cell));
+
+  const errors = [];
+  const records = body.map((cells, i) => {
+    const cell = (column) => {
+      const index = columns.indexOf(column);
+      return index === -1 ? undefined : (cells[index] ?? "").trim();
+    };
+    const record = { line: i + 2, id: null, fields: {}, blockedBy: undefined };
+    const id = cell("id");
+    if (id) {
+      record.id = Number(id);
+      if (!Number.isInteger(record.id) || record.id < 1) {
+        errors.push(`строка ${record.line}: id "${id}" — ожидается целое число`);
+      }
+    }
+    const f = record.fields;
+    if (cell("title") !== undefined) f.title = cell("title");
+    if (cell("description") !== undefined) f.description = cell("description");
+    if (cell("status") !== undefined) f.status = cell("status");
+    if (cell("priority") !== undefined) f.priority = cell("priority");
+    if (cell("assignee_id") !== undefined) {
+      f.assignee_id = number(cell("assignee_id"));
+    }
+    if (cell("deadline") !== undefined) f.deadline = cell("deadline") || null;
+    if (cell("tags") !== undefined) f.tags = normalizeTags(list(cell("tags")));
+    if (cell("sprint_id") !== undefined) f.sprint_id = number(cell("sprint_id"));
+    if (cell("blocked_by") !== undefined) {
+      record.blockedBy = list(cell("blocked_by")).map(Number);
+    }
+    return record;
+  });
+  return { errors, records };
+}
+
+// Merges CSV records into data by task ID. Validates everything first and
+// changes nothing if any row is invalid; re-importing the same file is a no-op.
+function importTasks(data, records, actor) {
+  const errors = [];
+  const seen = new Set();
+  const sameTitle = (a, b) =>
+    a.trim().toLowerCase() === b.trim().toLowerCase();
+  for (const r of records) {
+    // A row without id that repeats an existing title is that task, so that
+    // importing the same sheet twice does not create duplicates.
+    if (r.id === null && r.fields.title) {
+      const matches = data.tasks.filter((t) =>
+        sameTitle(t.title, r.fields.title)
+      );
+      if (matches.length === 1) r.id = matches[0].id;
+    }
+    if (r.id !== null) {
+      if (seen.has(r.id)) errors.push(`строка ${r.line}: id ${r.id} повторяется`);
+      seen.add(r.id);
+    }
+    const existing = r.id !== null && data.tasks.find((t) => t.id === r.id);
+    if (!existing) {
+      if (!r.fields.description) r.fields.description = r.fields.title;
+      for (const field of ["priority", "assignee_id"]) {
+        if (r.fields[field] === undefined) {
+          errors.push(`строка ${r.line}: для новой задачи нужна колонка ${field}`);
+        }
+      }
+    }
+    for (const e of validateTaskFields(data, r.fields)) {
+      errors.push(`строка ${r.line}: ${e}`);
+    }
+  }
+  const knownIds = new Set([...data.tasks.map((t) => t.id), ...seen]);
+  for (const r of records) {
+    for (const bid of r.blockedBy ?? []) {
+      if (!knownIds.has(bid)) {
+        errors.push(`строка ${r.line}: blocked_by — задача #${bid} не найдена`);
+      } else if (bid === r.id) {
+        errors.push(`строка ${r.line}: blocked_by — задача не может блокировать саму себя`);
+      }
+    }
+  }
+  if (errors.length > 0) return { errors };
+
+  const created = [];
+  const updated = [];
+  let nextId = data.tasks.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+  for (const r of records) {
+    let task = r.id !== null && data.tasks.find((t) => t.id === r.id);
+    if (!task) {
+      const id = r.id ?? nextId;
+      task = {
+        id,
+        title: r.fields.title,
+        description: r.fields.description,
+        status: "todo",
+        priority: r.fields.priority,
+        assigneeId: r.fields.assignee_id,
+        createdAt: isoToday(),
+        deadline: null,
+        tags: [],
+        blockedBy: [],
+        sprintId: null,
+        version: 1,
+      };
+      data.tasks.push(task);
+      nextId = Math.max(nextId, id + 1);
+      r.id = id;
+      created.push(task);
+    }
+    const diff = {};
+    for (const [arg, field] of Object.entries(PATCHABLE_FIELDS)) {
+      const value = r.fields[arg];
+      if (value === undefined) continue;
+      if (JSON.stringify(task[field] ?? null) === JSON.stringify(value)) continue;
+      diff[field] = { from: task[field] ?? null, to: value };
+      task[field] = value;
+    }
+    if (created.includes(task)) {
+      recordChange(data, task.id, "create", diff, actor);
+    } else if (Object.keys(diff).length > 0) {
+      bumpVersion(task);
+      updated.push(task);
+      recordChange(data, task.id, "import", diff, actor);
+    }
+  }
+
+  // Dependencies last, once every referenced task exists
+  for (const r of records) {
+    if (r.blockedBy === undefined) continue;
+    const task = data.tasks.find((t) => t.id === r.id);
+    const wanted = [...new Set(r.blockedBy)];
+    if (JSON.stringify(task.blockedBy) === JSON.stringify(wanted)) continue;
+    const previous = task.blockedBy;
+    task.blockedBy = wanted;
+    recordChange(
+      data,
+      task.id,
+      "import",
+      { blockedBy: { from: previous, to: wanted } },
+      actor
+    );
+    if (!created.includes(task) && !updated.includes(task)) {
+      bumpVersion(task);
+      updated.push(task);
+    }
+  }
+  const cycle = buildDependencyGraph(data.tasks).inCycle;
+  if (cycle.length > 0) {
+    return {
+      errors: [
+        `blocked_by: зависимости образуют цикл между задачами ${cycle.map((id) => `#${id}`).join(", ")}`,
+      ],
+    };
+  }
+
+  return { created, updated };
+}
+
+// ---- Linked tickets ----
+// Support tickets in crm.json that a task fixes (task.linkedTicketIds; the
+// CRM server's link_ticket_to_task keeps both sides). When such a task
+// reaches done, each open ticket gets a system note so that support knows the
+// customer can be answered. Locks: tasks.json first, then crm.json.
+const crmStore = await openStore("crm");
+
+function lastHistoryId(data) {
+  return (data.history ?? []).reduce((max, e) => Math.max(max, e.id), 0);
+}
+
+// Notes the tickets linked to tasks that history entries after `sinceId`
+// moved to done. Returns the tickets that now wait for a reply to the
+// customer.
+async function noteLinkedTickets(data, sinceId) {
+  const doneTasks = (data.history ?? [])
+    .filter((e) => e.id > sinceId && e.changes?.status?.to === "done")
+    .map((e) => data.tasks.find((t) => t.id === e.taskId))
+    .filter((t) => t?.status === "done" && t.linkedTicketIds?.length > 0);
+  if (doneTasks.length === 0) return [];
+
+  return crmStore.withLock(() => {
+    const crm = crmStore.load();
+    const now = new Date().toISOString();
+    const noted = [];
+    for (const task of doneTasks) {
+      for (const ticketId of task.linkedTicketIds) {
+        const ticket = crm.tickets.find((t) => t.id === ticketId);
+        if (
+          !ticket ||
+          ticket.status === "resolved" ||
+          ticket.status === "closed"
+        ) {
+          continue;
+        }
+        ticket.messages.push({
+          author: "system",
+          text: `Задача #${task.id} «${task.title}» выполнена. Сообщите клиенту об исправлении`,
+          at: now,
+          taskId: task.id,
+        });
+        ticket.updatedAt = now;
+        noted.push({
+          ticketId: ticket.id,
+          subject: ticket.subject,
+          status: ticket.status,
+          taskId: task.id,
+        });
+      }
+    }
+    if (noted.length > 0) crmStore.save(crm);
+    return noted;
+  });
+}
+
+// The CRM server keeps ticket–task links on both sides. When a change of
+// linkedTicketIds is undone here, the tickets get their linkedTaskIds fixed
+// to match.
+function syncTicketLinks(data, sinceId) {
+  const changes = (data.history ?? []).filter(
+    (e) => e.id > sinceId && e.changes?.linkedTicketIds
+  );
+  if (changes.length === 0) return;
+
+  return crmStore.withLock(() => {
+    const crm = crmStore.load();
+    const now = new Date().toISOString();
+    let changed = false;
+    for (const { taskId, changes: diff } of changes) {
+      const from = diff.linkedTicketIds.from ?? [];
+      const to = diff.linkedTicketIds.to ?? [];
+      for (const ticket of crm.tickets) {
+        const linked = to.includes(ticket.id);
+        if (linked === from.includes(ticket.id)) continue;
+        const ids = (ticket.linkedTaskIds ?? []).filter((id) => id !== taskId);
+        if (linked) ids.push(taskId);
+        if (ids.length > 0) ticket.linkedTaskIds = ids.sort((a, b) => a - b);
+        else delete ticket.linkedTaskIds;
+        ticket.updatedAt = now;
+        changed = true;
+      }
+    }
+    if (changed) crmStore.save(crm);
+  });
+}
+
+// ---- Views ----
+// A task with assignee and dependency details, as get_task returns it.
+function taskDetails(data, task) {
+  const member = data.members.find((m) => m.id === task.assigneeId);
+  const blockedByTasks = task.blockedBy.map((bid) => {
+    const bt = data.tasks.find((t) => t.id === bid);
+    return bt
+      ? { id: bt.id, title: bt.title, status: bt.status }
+      : { id: bid, title: "неизвестна", status: "unknown" };
+  });
+  const blocking = data.tasks
+    .filter((t) => t.blockedBy.includes(task.id))
+    .map((t) => ({ id: t.id, title: t.title, status: t.status }));
+
+  return {
+    ...task,
+    assigneeName: member ? member.name : "не назначен",
+    assigneeRole: member ? member.role : null,
+    blockedByDetails: blockedByTasks,
+    blocking: blocking,
+  };
+}
+
+function sprintOverview(data, sprint) {
+  const tasks = getSprintTasks(data, sprint);
+  const done = tasks.filter((t) => t.status === "done").length;
+  const progress =
+    tasks.length > 0 ? Math.round((done / tasks.length) * 100) : 0;
+  return {
+    ...sprint,
+    progress: `${progress}%`,
+    daysLeft: Math.max(eachDay(isoToday(), sprint.endDate).length - 1, 0),
+    tasks: tasks.map((t) => ({
+      id: t.id,
+      title: t.title,
+      status: t.status,
+      priority: t.priority,
+      assignee:
+        data.members.find((m) => m.id === t.assigneeId)?.name ?? "не назначен",
+      deadline: t.deadline,
+      blocked: hasOpenBlockers(data, t),
+    })),
+  };
 }
 
 // ---- MCP Server ----
-const server = new Server(
-  { name: "pm-server", version: "1.0.0" },
-  { capabilities: { tools: {} } }
-);
+// One instance per client session (see lib/transport.mjs).
+function createServer() {
+  const server = new Server(
+    { name: "pm-server", version: "1.0.0" },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+      },
+    }
+  );
+  registerToolHandlers(server);
+  registerResourceHandlers(server);
+  registerPromptHandlers(server);
+  return server;
+}
 
 // ---- Tools definition ----
 const TOOLS = [
@@ -45,6 +1120,79 @@ const TOOLS = [
           type: "number",
           description: "Фильтр по ID исполнителя",
         },
+        sprint_id: {
+          type: "number",
+          description: "Фильтр по ID спринта",
+        },
+        backlog: {
+          type: "boolean",
+          description: "Только задачи бэклога (не назначенные ни в один спринт)",
+        },
+      },
+    },
+  },
+  {
+    name: "search_tasks",
+    description:
+      "Полнотекстовый поиск задач с ранжированием (название, описание, комментарии, теги) и структурными фильтрами, сортировкой и пагинацией",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Поисковый запрос; без него — только фильтры",
+        },
+        status: { type: "string", enum: STATUSES, description: "Статус" },
+        priority: {
+          type: "string",
+          enum: PRIORITIES,
+          description: "Приоритет",
+        },
+        assignee_id: { type: "number", description: "ID исполнителя" },
+        sprint_id: {
+          type: ["number", "null"],
+          description: "ID спринта или null для бэклога",
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Задача должна иметь все перечисленные теги",
+        },
+        deadline_from: {
+          type: "string",
+          description: "Дедлайн не раньше (YYYY-MM-DD)",
+        },
+        deadline_to: {
+          type: "string",
+          description: "Дедлайн не позже (YYYY-MM-DD)",
+        },
+        overdue: {
+          type: "boolean",
+          description: "Только просроченные незавершённые задачи",
+        },
+        blocked: {
+          type: "boolean",
+          description: "true — только заблокированные открытыми задачами, false — только свободные",
+        },
+        sort_by: {
+          type: "string",
+          enum: SEARCH_SORTS,
+          description:
+            "Сортировка: relevance (по умолчанию при query), priority (по умолчанию без query), deadline, created, id",
+        },
+        order: {
+          type: "string",
+          enum: ["asc", "desc"],
+          description: "Направление сортировки (по умолчанию asc, для relevance — лучшие первыми)",
+        },
+        limit: {
+          type: "number",
+          description: `Размер страницы (по умолчанию 20, максимум ${SEARCH_MAX_LIMIT})`,
+        },
+        offset: {
+          type: "number",
+          description: "Сколько результатов пропустить",
+        },
       },
     },
   },
@@ -69,6 +1217,7 @@ const TOOLS = [
         description: { type: "string", description: "Описание задачи" },
         priority: {
           type: "string",
+          enum: PRIORITIES,
           description: "Приоритет: low, medium, high, critical",
         },
         assignee_id: { type: "number", description: "ID исполнителя" },
@@ -78,33 +1227,166 @@ const TOOLS = [
           items: { type: "string" },
           description: "Теги задачи",
         },
+        sprint_id: {
+          type: "number",
+          description: "ID спринта (по умолчанию задача попадает в бэклог)",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
       },
       required: ["title", "description", "priority", "assignee_id"],
     },
   },
   {
     name: "update_task",
-    description: "Обновить статус, приоритет или исполнителя задачи",
+    description:
+      "Обновить статус, приоритет или исполнителя задачи. Статус меняется только по разрешённым переходам workflow",
     inputSchema: {
       type: "object",
       properties: {
         task_id: { type: "number", description: "ID задачи" },
         status: {
           type: "string",
+          enum: STATUSES,
           description: "Новый статус: todo, in_progress, review, done",
         },
         priority: {
           type: "string",
+          enum: PRIORITIES,
           description: "Новый приоритет: low, medium, high, critical",
         },
         assignee_id: {
           type: "number",
           description: "Новый ID исполнителя",
         },
+        expected_version: {
+          type: "number",
+          description:
+            "Версия задачи, которую видел клиент; при несовпадении изменение отклоняется",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id"],
+    },
+  },
+  {
+    name: "patch_task",
+    description:
+      "Изменить любые поля задачи: название, описание, статус, приоритет, исполнителя, дедлайн, теги, спринт. Передавайте только изменяемые поля",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        title: { type: "string", description: "Новое название" },
+        description: { type: "string", description: "Новое описание" },
+        status: {
+          type: "string",
+          enum: STATUSES,
+          description: "Новый статус (по правилам workflow)",
+        },
+        priority: {
+          type: "string",
+          enum: PRIORITIES,
+          description: "Новый приоритет",
+        },
+        assignee_id: { type: "number", description: "Новый ID исполнителя" },
+        deadline: {
+          type: ["string", "null"],
+          description: "Новый дедлайн (YYYY-MM-DD) или null, чтобы убрать",
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Полный новый список тегов",
+        },
+        sprint_id: {
+          type: ["number", "null"],
+          description: "ID спринта или null для бэклога",
+        },
+        expected_version: {
+          type: "number",
+          description:
+            "Версия задачи, которую видел клиент; при несовпадении изменение отклоняется",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id"],
+    },
+  },
+  {
+    name: "add_comment",
+    description:
+      "Добавить комментарий к задаче (заметки со стендапа, обсуждение)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        author: { type: "string", description: "Автор комментария" },
+        text: { type: "string", description: "Текст комментария" },
+        expected_version: {
+          type: "number",
+          description:
+            "Версия задачи, которую видел клиент; при несовпадении изменение отклоняется",
+        },
+      },
+      required: ["task_id", "author", "text"],
+    },
+  },
+  {
+    name: "list_comments",
+    description: "Комментарии к задаче в хронологическом порядке",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        limit: {
+          type: "number",
+          description: "Сколько последних комментариев вернуть (по умолчанию все)",
+        },
       },
       required: ["task_id"],
     },
   },
+  {
+    name: "add_tag",
+    description: "Добавить тег к задаче",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        tag: { type: "string", description: "Тег" },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id", "tag"],
+    },
+  },
+  {
+    name: "remove_tag",
+    description: "Удалить тег у задачи",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        tag: { type: "string", description: "Тег" },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id", "tag"],
+    },
+  },
   {
     name: "get_project_summary",
     description:
@@ -126,15 +1408,308 @@ const TOOLS = [
       required: ["member_id"],
     },
   },
+  {
+    name: "add_dependency",
+    description:
+      "Добавить зависимость: задача task_id блокируется задачей blocked_by_id. Циклы и несуществующие задачи отклоняются",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID блокируемой задачи" },
+        blocked_by_id: {
+          type: "number",
+          description: "ID задачи, которая блокирует task_id",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id", "blocked_by_id"],
+    },
+  },
+  {
+    name: "remove_dependency",
+    description: "Удалить зависимость: задача task_id больше не блокируется blocked_by_id",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID блокируемой задачи" },
+        blocked_by_id: {
+          type: "number",
+          description: "ID блокирующей задачи",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id", "blocked_by_id"],
+    },
+  },
+  {
+    name: "get_dependency_graph",
+    description:
+      "Граф зависимостей открытых задач: топологический порядок выполнения, критический путь и задачи, блокирующие больше всего работы",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "get_task_history",
+    description:
+      "История изменений задачи: кто, когда и какие поля менял (старое и новое значение)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        limit: {
+          type: "number",
+          description: "Сколько последних записей вернуть (по умолчанию все)",
+        },
+      },
+      required: ["task_id"],
+    },
+  },
+  {
+    name: "undo_last_change",
+    description:
+      "Отменить последнее изменение задачи (или последнее изменение в проекте, если task_id не указан)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: {
+          type: "number",
+          description: "ID задачи, изменение которой нужно отменить",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+    },
+  },
+  {
+    name: "suggest_assignee",
+    description:
+      "Подобрать исполнителя для задачи: рейтинг членов команды по совпадению роли с тегами, загрузке с учётом приоритетов и давлению дедлайнов",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: {
+          type: "number",
+          description:
+            "ID существующей задачи (теги и дедлайн берутся из неё)",
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Теги новой задачи",
+        },
+        priority: {
+          type: "string",
+          enum: PRIORITIES,
+          description:
+            "Приоритет задачи: младшие по приоритету задачи кандидата учитываются в загрузке наполовину",
+        },
+        deadline: { type: "string", description: "Дедлайн (YYYY-MM-DD)" },
+        limit: {
+          type: "number",
+          description: "Сколько кандидатов вернуть (по умолчанию все)",
+        },
+      },
+    },
+  },
+  {
+    name: "rebalance_plan",
+    description:
+      "Предложить перераспределение задач (только todo) с перегруженных членов команды. Ничего не меняет — изменения применяются через update_task",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tolerance: {
+          type: "number",
+          description:
+            "Допустимое превышение средней загрузки, доля (по умолчанию 0.25)",
+        },
+      },
+    },
+  },
+  {
+    name: "export_tasks",
+    description:
+      "Экспорт задач: csv (для таблиц), markdown (доска по статусам) или ics (календарь дедлайнов)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        format: {
+          type: "string",
+          enum: EXPORT_FORMATS,
+          description: "Формат: csv, markdown, ics",
+        },
+        sprint_id: {
+          type: ["number", "null"],
+          description: "Только задачи спринта (null — бэклог); по умолчанию все",
+        },
+      },
+      required: ["format"],
+    },
+  },
+  {
+    name: "import_tasks",
+    description:
+      "Импорт задач из CSV в формате export_tasks: строки с существующим id (или без id, но с названием существующей задачи) обновляют её, остальные создают новые задачи. Повторный импорт того же файла ничего не меняет. Переходы статусов при импорте не проверяются workflow",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: { type: "string", description: "Содержимое CSV-файла" },
+        dry_run: {
+          type: "boolean",
+          description: "Только показать, что изменится, без сохранения",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["content"],
+    },
+  },
+  {
+    name: "create_sprint",
+    description:
+      "Создать спринт. Если активного спринта нет, новый становится текущим",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Название спринта" },
+        goal: { type: "string", description: "Цель спринта" },
+        start_date: { type: "string", description: "Начало (YYYY-MM-DD)" },
+        end_date: { type: "string", description: "Окончание (YYYY-MM-DD)" },
+      },
+      required: ["name", "start_date", "end_date"],
+    },
+  },
+  {
+    name: "assign_task_to_sprint",
+    description:
+      "Перенести задачу в спринт или вернуть в бэклог (если sprint_id не указан)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        task_id: { type: "number", description: "ID задачи" },
+        sprint_id: {
+          type: "number",
+          description: "ID спринта; без него задача возвращается в бэклог",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+      required: ["task_id"],
+    },
+  },
+  {
+    name: "close_sprint",
+    description:
+      "Закрыть спринт: незавершённые задачи переносятся в следующий спринт (или в бэклог), следующий спринт становится текущим",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sprint_id: {
+          type: "number",
+          description: "ID спринта (по умолчанию текущий)",
+        },
+        next_sprint_id: {
+          type: "number",
+          description:
+            "Куда перенести незавершённые задачи (по умолчанию ближайший запланированный спринт)",
+        },
+        actor: {
+          type: "string",
+          description: "Кто вносит изменение (для истории задачи)",
+        },
+      },
+    },
+  },
+  {
+    name: "get_burndown",
+    description:
+      "Burndown спринта по дням: идеальная и фактическая линия оставшихся задач по истории статусов",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sprint_id: {
+          type: "number",
+          description: "ID спринта (по умолчанию текущий)",
+        },
+      },
+    },
+  },
 ];
 
 // ---- Handlers ----
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: TOOLS,
-}));
+// Tools that never write; everything else runs under the data lock.
+const READ_ONLY_TOOLS = new Set([
+  "list_tasks",
+  "search_tasks",
+  "get_task",
+  "get_project_summary",
+  "get_member",
+  "get_dependency_graph",
+  "get_task_history",
+  "list_comments",
+  "get_burndown",
+  "suggest_assignee",
+  "rebalance_plan",
+  "export_tasks",
+]);
+
+function registerToolHandlers(server) {
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: TOOLS,
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    if (READ_ONLY_TOOLS.has(name)) return handleTool(name, args ?? {});
+
+    try {
+      return await runWriteTool(name, args ?? {});
+    } catch (err) {
+      return errorResult(err.message);
+    }
+  });
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Runs a writing tool under the data lock, keeps ticket links in step with
+// undone link changes and reports linked tickets that got a note because the
+// call finished a task.
+function runWriteTool(name, args) {
+  return withDataLock(async () => {
+    const sinceId = lastHistoryId(loadData());
+    const result = handleTool(name, args);
+    if (result.isError) return result;
+
+    await syncTicketLinks(loadData(), sinceId);
+    const noted = await noteLinkedTickets(loadData(), sinceId);
+    if (noted.length === 0) return result;
+    return {
+      ...result,
+      content: [
+        ...result.content,
+        {
+          type: "text",
+          text: `Связанные тикеты ждут ответа клиенту:\n${noted.map((n) => `- #${n.ticketId} ${n.subject} (${n.status}) — задача #${n.taskId}`).join("\n")}`,
+        },
+      ],
+    };
+  });
+}
+
+function handleTool(name, args) {
   const data = loadData();
 
   switch (name) {
@@ -146,9 +1721,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       if (args.priority) {
         tasks = tasks.filter((t) => t.priority === args.priority);
       }
-      if (args.assignee_id) {
+      if (args.assignee_id !== undefined) {
         tasks = tasks.filter((t) => t.assigneeId === args.assignee_id);
       }
+      if (args.sprint_id !== undefined) {
+        tasks = tasks.filter((t) => t.sprintId === args.sprint_id);
+      }
+      if (args.backlog) {
+        tasks = tasks.filter((t) => (t.sprintId ?? null) === null);
+      }
 
       const result = tasks.map((t) => {
         const member = data.members.find((m) => m.id === t.assigneeId);
@@ -163,17 +1744,105 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       });
 
-      return {
-        content: [
-          {
-            type: "text",
-            text:
-              result.length > 0
-                ? JSON.stringify(result, null, 2)
-                : "Задачи не найдены",
-          },
-        ],
-      };
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              result.length > 0
+                ? JSON.stringify(result, null, 2)
+                : "Задачи не найдены",
+          },
+        ],
+      };
+    }
+
+    case "search_tasks": {
+      const errors = validateTaskFields(data, {
+        status: args.status,
+        priority: args.priority,
+        assignee_id: args.assignee_id,
+        tags: args.tags,
+      });
+      for (const field of ["deadline_from", "deadline_to"]) {
+        if (args[field] !== undefined && !isValidDate(args[field])) {
+          errors.push(
+            `${field}: "${args[field]}" — ожидается дата в формате YYYY-MM-DD`
+          );
+        }
+      }
+      const hasQuery = typeof args.query === "string" && args.query.trim();
+      const sortBy = args.sort_by ?? (hasQuery ? "relevance" : "priority");
+      if (!SEARCH_SORTS.includes(sortBy)) {
+        errors.push(
+          `sort_by: "${sortBy}" — допустимые значения: ${SEARCH_SORTS.join(", ")}`
+        );
+      } else if (sortBy === "relevance" && !hasQuery) {
+        errors.push("sort_by: сортировка по relevance требует query");
+      }
+      if (args.order !== undefined && !["asc", "desc"].includes(args.order)) {
+        errors.push(`order: "${args.order}" — допустимые значения: asc, desc`);
+      }
+      const limit = args.limit ?? 20;
+      const offset = args.offset ?? 0;
+      if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+        errors.push(`limit: ожидается целое число от 1 до ${SEARCH_MAX_LIMIT}`);
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        errors.push("offset: ожидается неотрицательное целое число");
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      const now = isoToday();
+      const wantedTags = (args.tags ?? []).map(normalizeTag);
+      const tasks = data.tasks.filter(
+        (t) =>
+          (args.status === undefined || t.status === args.status) &&
+          (args.priority === undefined || t.priority === args.priority) &&
+          (args.assignee_id === undefined ||
+            t.assigneeId === args.assignee_id) &&
+          (args.sprint_id === undefined ||
+            (t.sprintId ?? null) === args.sprint_id) &&
+          wantedTags.every((tag) => t.tags.includes(tag)) &&
+          (args.deadline_from === undefined ||
+            (t.deadline && t.deadline >= args.deadline_from)) &&
+          (args.deadline_to === undefined ||
+            (t.deadline && t.deadline <= args.deadline_to)) &&
+          (args.overdue === undefined ||
+            args.overdue ===
+              Boolean(t.deadline && t.deadline < now && t.status !== "done")) &&
+          (args.blocked === undefined ||
+            args.blocked === hasOpenBlockers(data, t))
+      );
+
+      const matches = hasQuery
+        ? rankTasksByText(tasks, args.query)
+        : tasks.map((task) => ({ task, score: null, matchedIn: [] }));
+      matches.sort((a, b) => compareBySort(sortBy, a, b));
+      if (args.order === "desc" && sortBy !== "relevance") matches.reverse();
+      if (args.order === "asc" && sortBy === "relevance") matches.reverse();
+
+      const page = matches.slice(offset, offset + limit);
+      return jsonResult({
+        total: matches.length,
+        offset,
+        limit,
+        hasMore: offset + page.length < matches.length,
+        sortBy,
+        results: page.map(({ task: t, score, matchedIn }) => {
+          const member = data.members.find((m) => m.id === t.assigneeId);
+          return {
+            id: t.id,
+            title: t.title,
+            status: t.status,
+            priority: t.priority,
+            assignee: member ? member.name : "не назначен",
+            deadline: t.deadline,
+            tags: t.tags,
+            ...(score !== null && { score, matchedIn }),
+          };
+        }),
+      });
     }
 
     case "get_task": {
@@ -185,38 +1854,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
       }
-      const member = data.members.find((m) => m.id === task.assigneeId);
-      const blockedByTasks = task.blockedBy.map((bid) => {
-        const bt = data.tasks.find((t) => t.id === bid);
-        return bt
-          ? { id: bt.id, title: bt.title, status: bt.status }
-          : { id: bid, title: "неизвестна", status: "unknown" };
-      });
-      const blocking = data.tasks
-        .filter((t) => t.blockedBy.includes(task.id))
-        .map((t) => ({ id: t.id, title: t.title, status: t.status }));
-
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(
-              {
-                ...task,
-                assigneeName: member ? member.name : "не назначен",
-                assigneeRole: member ? member.role : null,
-                blockedByDetails: blockedByTasks,
-                blocking: blocking,
-              },
-              null,
-              2
-            ),
+            text: JSON.stringify(taskDetails(data, task), null, 2),
           },
         ],
       };
     }
 
     case "create_task": {
+      const errors = validateTaskFields(data, args);
+      for (const field of ["title", "description", "priority", "assignee_id"]) {
+        if (args[field] === undefined) {
+          errors.push(`${field}: обязательное поле`);
+        }
+      }
+      if (errors.length > 0) return validationError(errors);
+
       const maxId = data.tasks.reduce(
         (max, t) => Math.max(max, t.id),
         0
@@ -230,10 +1886,31 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         assigneeId: args.assignee_id,
         createdAt: new Date().toISOString().split("T")[0],
         deadline: args.deadline || null,
-        tags: args.tags || [],
+        tags: normalizeTags(args.tags ?? []),
         blockedBy: [],
+        sprintId: args.sprint_id ?? null,
+        version: 1,
       };
       data.tasks.push(newTask);
+      recordChange(
+        data,
+        newTask.id,
+        "create",
+        Object.fromEntries(
+          [
+            "title",
+            "status",
+            "priority",
+            "assigneeId",
+            "deadline",
+            "tags",
+            "sprintId",
+          ]
+            .filter((field) => newTask[field] !== null)
+            .map((field) => [field, { from: null, to: newTask[field] }])
+        ),
+        args.actor
+      );
       saveData(data);
 
       const member = data.members.find(
@@ -273,27 +1950,22 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       const task = data.tasks[taskIndex];
-      const changes = [];
-      if (args.status) {
-        changes.push(`статус: ${task.status} → ${args.status}`);
-        task.status = args.status;
-      }
-      if (args.priority) {
-        changes.push(`приоритет: ${task.priority} → ${args.priority}`);
-        task.priority = args.priority;
-      }
-      if (args.assignee_id) {
-        const oldMember = data.members.find(
-          (m) => m.id === task.assigneeId
-        );
-        const newMember = data.members.find(
-          (m) => m.id === args.assignee_id
-        );
-        changes.push(
-          `исполнитель: ${oldMember?.name || task.assigneeId} → ${newMember?.name || args.assignee_id}`
-        );
-        task.assigneeId = args.assignee_id;
-      }
+      const conflict = versionConflict(task, args.expected_version);
+      if (conflict) return conflict;
+
+      const patch = patchTask(
+        data,
+        task,
+        {
+          status: args.status,
+          priority: args.priority,
+          assignee_id: args.assignee_id,
+        },
+        "update",
+        args.actor
+      );
+      if (patch.errors) return validationError(patch.errors);
+      const changes = describeChanges(data, patch.diff);
 
       data.tasks[taskIndex] = task;
       saveData(data);
@@ -306,6 +1978,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               {
                 id: task.id,
                 title: task.title,
+                version: task.version ?? 1,
                 changes: changes,
                 message: `Задача #${task.id} обновлена`,
               },
@@ -317,6 +1990,119 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    case "patch_task": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      const conflict = versionConflict(task, args.expected_version);
+      if (conflict) return conflict;
+
+      const fields = Object.fromEntries(
+        Object.keys(PATCHABLE_FIELDS).map((arg) => [arg, args[arg]])
+      );
+      if (Object.values(fields).every((v) => v === undefined)) {
+        return validationError(["не передано ни одного изменяемого поля"]);
+      }
+      const patch = patchTask(data, task, fields, "patch", args.actor);
+      if (patch.errors) return validationError(patch.errors);
+      saveData(data);
+
+      return jsonResult({
+        id: task.id,
+        title: task.title,
+        version: task.version ?? 1,
+        changes: describeChanges(data, patch.diff),
+        message:
+          Object.keys(patch.diff).length > 0
+            ? `Задача #${task.id} обновлена`
+            : `Задача #${task.id} не изменилась`,
+      });
+    }
+
+    case "add_comment": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      const errors = [];
+      for (const field of ["author", "text"]) {
+        if (typeof args[field] !== "string" || !args[field].trim()) {
+          errors.push(`${field}: ожидается непустая строка`);
+        }
+      }
+      if (errors.length > 0) return validationError(errors);
+      const conflict = versionConflict(task, args.expected_version);
+      if (conflict) return conflict;
+
+      const comments = task.comments ?? [];
+      const comment = {
+        id: comments.reduce((max, c) => Math.max(max, c.id), 0) + 1,
+        author: args.author.trim(),
+        text: args.text.trim(),
+        at: new Date().toISOString(),
+      };
+      // A comment is a change of the task like any other: new version and
+      // a history entry
+      const diff = {
+        comments: { from: task.comments ?? null, to: [...comments, comment] },
+      };
+      task.comments = diff.comments.to;
+      bumpVersion(task);
+      recordChange(data, task.id, "comment", diff, comment.author);
+      saveData(data);
+
+      return jsonResult({
+        taskId: task.id,
+        version: task.version,
+        comment,
+        message: `Комментарий добавлен к задаче #${task.id}`,
+      });
+    }
+
+    case "list_comments": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      const comments = task.comments ?? [];
+      const shown = args.limit > 0 ? comments.slice(-args.limit) : comments;
+
+      return jsonResult({
+        taskId: task.id,
+        title: task.title,
+        totalComments: comments.length,
+        comments: shown,
+      });
+    }
+
+    case "add_tag":
+    case "remove_tag": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      const tag = normalizeTag(args.tag);
+      if (!tag) return validationError(["tag: ожидается непустая строка"]);
+
+      const hasTag = task.tags.includes(tag);
+      if (name === "add_tag" && hasTag) {
+        return errorResult(`У задачи #${task.id} уже есть тег "${tag}"`);
+      }
+      if (name === "remove_tag" && !hasTag) {
+        return errorResult(`У задачи #${task.id} нет тега "${tag}"`);
+      }
+      const tags =
+        name === "add_tag"
+          ? [...task.tags, tag]
+          : task.tags.filter((t) => t !== tag);
+      patchTask(data, task, { tags }, name, args.actor);
+      saveData(data);
+
+      return jsonResult({
+        id: task.id,
+        title: task.title,
+        version: task.version ?? 1,
+        tags: task.tags,
+        message:
+          name === "add_tag"
+            ? `Тег "${tag}" добавлен к задаче #${task.id}`
+            : `Тег "${tag}" удалён у задачи #${task.id}`,
+      });
+    }
+
     case "get_project_summary": {
       const { project, tasks, members } = data;
       const statusCounts = {};
@@ -348,8 +2134,30 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             t.assigneeId === m.id &&
             (t.status === "in_progress" || t.status === "todo")
         ).length,
+        weightedLoad: weightedLoad(openTasksOf(data, m.id)),
       }));
 
+      const currentSprint = getCurrentSprint(data);
+      let sprint = null;
+      if (currentSprint) {
+        const sprintTasks = getSprintTasks(data, currentSprint);
+        const sprintDone = sprintTasks.filter((t) => t.status === "done");
+        const sprintProgress = sprintTasks.length > 0
+          ? Math.round((sprintDone.length / sprintTasks.length) * 100)
+          : 0;
+        sprint = {
+          ...currentSprint,
+          totalTasks: sprintTasks.length,
+          doneTasks: sprintDone.length,
+          progress: `${sprintProgress}%`,
+          daysLeft: Math.max(
+            eachDay(isoToday(), currentSprint.endDate).length - 1,
+            0
+          ),
+        };
+      }
+      const backlog = tasks.filter((t) => (t.sprintId ?? null) === null);
+
       const progress = tasks.length > 0
         ? Math.round(
             (tasks.filter((t) => t.status === "done").length /
@@ -365,6 +2173,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             text: JSON.stringify(
               {
                 project: project,
+                currentSprint: sprint,
+                backlogTasks: backlog.length,
                 progress: `${progress}%`,
                 totalTasks: tasks.length,
                 byStatus: statusCounts,
@@ -433,6 +2243,514 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    case "add_dependency": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      const blocker = data.tasks.find((t) => t.id === args.blocked_by_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      if (!blocker) {
+        return errorResult(`Задача #${args.blocked_by_id} не найдена`);
+      }
+      if (task.id === blocker.id) {
+        return errorResult(`Задача #${task.id} не может блокировать саму себя`);
+      }
+      if (task.blockedBy.includes(blocker.id)) {
+        return errorResult(
+          `Задача #${task.id} уже блокируется задачей #${blocker.id}`
+        );
+      }
+      const cycle = findDependencyPath(data.tasks, blocker.id, task.id);
+      if (cycle) {
+        return errorResult(
+          `Зависимость создаст цикл: ${[task.id, ...cycle].map((id) => `#${id}`).join(" → ")}`
+        );
+      }
+
+      const previous = [...task.blockedBy];
+      task.blockedBy.push(blocker.id);
+      bumpVersion(task);
+      recordChange(
+        data,
+        task.id,
+        "add_dependency",
+        { blockedBy: { from: previous, to: [...task.blockedBy] } },
+        args.actor
+      );
+      saveData(data);
+
+      return jsonResult({
+        id: task.id,
+        title: task.title,
+        blockedBy: task.blockedBy,
+        message: `Задача #${task.id} теперь блокируется задачей #${blocker.id} (${blocker.title})`,
+      });
+    }
+
+    case "remove_dependency": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      if (!task.blockedBy.includes(args.blocked_by_id)) {
+        return errorResult(
+          `Задача #${task.id} не блокируется задачей #${args.blocked_by_id}`
+        );
+      }
+
+      const previous = task.blockedBy;
+      task.blockedBy = task.blockedBy.filter(
+        (bid) => bid !== args.blocked_by_id
+      );
+      bumpVersion(task);
+      recordChange(
+        data,
+        task.id,
+        "remove_dependency",
+        { blockedBy: { from: previous, to: [...task.blockedBy] } },
+        args.actor
+      );
+      saveData(data);
+
+      return jsonResult({
+        id: task.id,
+        title: task.title,
+        blockedBy: task.blockedBy,
+        message: `Зависимость #${task.id} от #${args.blocked_by_id} удалена`,
+      });
+    }
+
+    case "get_dependency_graph": {
+      const graph = buildDependencyGraph(data.tasks);
+      const brief = (t) => {
+        const member = data.members.find((m) => m.id === t.assigneeId);
+        return {
+          id: t.id,
+          title: t.title,
+          status: t.status,
+          priority: t.priority,
+          assignee: member ? member.name : "не назначен",
+          deadline: t.deadline,
+        };
+      };
+
+      return jsonResult({
+        openTasks: graph.open.length,
+        edges: graph.edges,
+        topologicalOrder: graph.order.map((t) => ({
+          ...brief(t),
+          waitingFor: t.blockedBy.filter((bid) =>
+            graph.open.some((o) => o.id === bid)
+          ),
+        })),
+        criticalPath: {
+          length: graph.criticalPath.length,
+          tasks: graph.criticalPath.map(brief),
+        },
+        bottlenecks: graph.bottlenecks.map((b) => ({
+          ...brief(b.task),
+          blocksOpenTasks: b.blocks,
+        })),
+        ...(graph.inCycle.length > 0 && { tasksInCycle: graph.inCycle }),
+      });
+    }
+
+    case "get_task_history": {
+      const entries = (data.history ?? []).filter(
+        (e) => e.taskId === args.task_id
+      );
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task && entries.length === 0) {
+        return errorResult(`Задача #${args.task_id} не найдена`);
+      }
+      const shown = args.limit > 0 ? entries.slice(-args.limit) : entries;
+
+      return jsonResult({
+        id: args.task_id,
+        title: task ? task.title : null,
+        totalEntries: entries.length,
+        history: shown.map((e) => ({
+          ...e,
+          summary: describeChanges(data, e.changes),
+        })),
+      });
+    }
+
+    case "undo_last_change": {
+      const entry = (data.history ?? []).findLast(
+        (e) =>
+          e.action !== "undo" &&
+          !e.undoneBy &&
+          (args.task_id === undefined || e.taskId === args.task_id)
+      );
+      if (!entry) {
+        return errorResult(
+          args.task_id === undefined
+            ? "Нет изменений для отмены"
+            : `У задачи #${args.task_id} нет изменений для отмены`
+        );
+      }
+
+      const task = data.tasks.find((t) => t.id === entry.taskId);
+      if (!task) {
+        return errorResult(`Задача #${entry.taskId} больше не существует`);
+      }
+
+      // Reverting a creation removes the task, unless something depends on it
+      if (entry.action === "create") {
+        const dependents = data.tasks.filter((t) =>
+          t.blockedBy.includes(task.id)
+        );
+        if (dependents.length > 0) {
+          return errorResult(
+            `Нельзя отменить создание задачи #${task.id}: от неё зависят ${dependents.map((t) => `#${t.id}`).join(", ")}`
+          );
+        }
+        data.tasks = data.tasks.filter((t) => t.id !== task.id);
+      } else {
+        for (const [field, { to }] of Object.entries(entry.changes)) {
+          // A field that is missing now counts as null
+          if (JSON.stringify(task[field] ?? null) !== JSON.stringify(to)) {
+            return errorResult(
+              `Нельзя отменить изменение #${entry.id}: поле ${field} задачи #${task.id} с тех пор изменилось`
+            );
+          }
+        }
+        const restored = entry.changes.blockedBy?.from ?? [];
+        for (const bid of restored) {
+          if (task.blockedBy.includes(bid)) continue;
+          if (!data.tasks.some((t) => t.id === bid)) {
+            return errorResult(
+              `Нельзя вернуть зависимость #${task.id} от #${bid}: задача #${bid} не существует`
+            );
+          }
+          const cycle = findDependencyPath(data.tasks, bid, task.id);
+          if (cycle) {
+            return errorResult(
+              `Нельзя вернуть зависимость #${task.id} от #${bid}: получится цикл ${[task.id, ...cycle].map((id) => `#${id}`).join(" → ")}`
+            );
+          }
+        }
+        for (const [field, { from }] of Object.entries(entry.changes)) {
+          task[field] = from;
+        }
+        bumpVersion(task);
+      }
+
+      const inverse = Object.fromEntries(
+        Object.entries(entry.changes).map(([field, { from, to }]) => [
+          field,
+          { from: to, to: from },
+        ])
+      );
+      const undo = recordChange(data, entry.taskId, "undo", inverse, args.actor);
+      undo.undoes = entry.id;
+      entry.undoneBy = undo.id;
+      saveData(data);
+
+      return jsonResult({
+        id: entry.taskId,
+        undone: {
+          id: entry.id,
+          action: entry.action,
+          at: entry.at,
+          actor: entry.actor,
+        },
+        changes: describeChanges(data, inverse),
+        message:
+          entry.action === "create"
+            ? `Создание задачи #${entry.taskId} отменено, задача удалена`
+            : `Изменение #${entry.id} задачи #${entry.taskId} отменено`,
+      });
+    }
+
+    case "suggest_assignee": {
+      let tags = args.tags ?? [];
+      let priority = args.priority ?? null;
+      let deadline = args.deadline ?? null;
+      let task = null;
+      if (args.task_id !== undefined) {
+        task = data.tasks.find((t) => t.id === args.task_id);
+        if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+        tags = args.tags ?? task.tags;
+        priority = args.priority ?? task.priority;
+        deadline = args.deadline ?? task.deadline;
+      }
+      const errors = validateTaskFields(data, {
+        tags,
+        priority: priority ?? undefined,
+        deadline,
+      });
+      if (errors.length > 0) return validationError(errors);
+
+      const ranked = rankAssignees(data, {
+        tags,
+        priority,
+        deadline,
+        excludeTaskId: task?.id,
+      });
+      const shown = args.limit > 0 ? ranked.slice(0, args.limit) : ranked;
+
+      return jsonResult({
+        ...(task && { task: { id: task.id, title: task.title } }),
+        tags,
+        priority,
+        deadline,
+        candidates: shown.map((c) => ({
+          memberId: c.member.id,
+          name: c.member.name,
+          role: c.member.role,
+          score: c.score,
+          roleMatch: c.roleMatch,
+          load: c.load,
+          competingLoad: c.competingLoad,
+          deadlinePressure: c.pressure,
+          reason: describeCandidate(c),
+        })),
+      });
+    }
+
+    case "rebalance_plan": {
+      const tolerance = args.tolerance ?? 0.25;
+      if (typeof tolerance !== "number" || tolerance < 0) {
+        return validationError([
+          "tolerance: ожидается неотрицательное число",
+        ]);
+      }
+      const plan = planRebalance(data, tolerance);
+
+      return jsonResult({
+        averageLoad: Math.round(plan.average * 100) / 100,
+        loadLimit: Math.round(plan.limit * 100) / 100,
+        load: data.members.map((m) => ({
+          name: m.name,
+          role: m.role,
+          before: weightedLoad(openTasksOf(data, m.id)),
+          after: plan.loads.get(m.id),
+        })),
+        moves: plan.moves.map((mv) => ({
+          taskId: mv.task.id,
+          title: mv.task.title,
+          priority: mv.task.priority,
+          from: mv.from.name,
+          to: mv.to.name,
+          toMemberId: mv.to.id,
+          reason: describeCandidate(mv.candidate),
+        })),
+        stillOverloaded: plan.unresolved.map((m) => m.name),
+        message:
+          plan.moves.length > 0
+            ? `Предложено перемещений: ${plan.moves.length}. Применить — update_task с assignee_id`
+            : "Перераспределение не требуется или невозможно без нарушения ролей",
+      });
+    }
+
+    case "export_tasks": {
+      if (!EXPORT_FORMATS.includes(args.format)) {
+        return validationError([
+          `format: "${args.format}" — допустимые значения: ${EXPORT_FORMATS.join(", ")}`,
+        ]);
+      }
+      const tasks = data.tasks.filter(
+        (t) =>
+          args.sprint_id === undefined ||
+          (t.sprintId ?? null) === args.sprint_id
+      );
+      if (args.format === "csv") return textResult(toCsv(data, tasks));
+      if (args.format === "ics") return textResult(toIcs(data, tasks));
+
+      const scope =
+        args.sprint_id === undefined
+          ? "все задачи"
+          : formatFieldValue(data, "sprintId", args.sprint_id);
+      return textResult(
+        toMarkdownBoard(data, tasks, `${data.project.name} — ${scope}`)
+      );
+    }
+
+    case "import_tasks": {
+      if (typeof args.content !== "string" || !args.content.trim()) {
+        return validationError(["content: ожидается непустой CSV"]);
+      }
+      const parsed = readImportRows(parseCsv(args.content));
+      if (parsed.errors.length > 0) return validationError(parsed.errors);
+      const result = importTasks(data, parsed.records, args.actor);
+      if (result.errors) return validationError(result.errors);
+      if (!args.dry_run) saveData(data);
+
+      const brief = (t) => ({ id: t.id, title: t.title });
+      return jsonResult({
+        rows: parsed.records.length,
+        created: result.created.map(brief),
+        updated: result.updated.map(brief),
+        unchanged:
+          parsed.records.length - result.created.length - result.updated.length,
+        message: args.dry_run
+          ? "Пробный импорт: изменения не сохранены"
+          : `Импорт завершён: создано ${result.created.length}, обновлено ${result.updated.length}`,
+      });
+    }
+
+    case "create_sprint": {
+      const errors = [];
+      if (typeof args.name !== "string" || !args.name.trim()) {
+        errors.push("name: ожидается непустая строка");
+      }
+      for (const field of ["start_date", "end_date"]) {
+        if (!isValidDate(args[field])) {
+          errors.push(
+            `${field}: "${args[field]}" — ожидается существующая дата в формате YYYY-MM-DD`
+          );
+        }
+      }
+      if (errors.length === 0 && args.end_date < args.start_date) {
+        errors.push("end_date: окончание спринта раньше его начала");
+      }
+      if (errors.length > 0) return validationError(errors);
+
+      data.sprints ??= [];
+      const sprint = {
+        id: data.sprints.reduce((max, sp) => Math.max(max, sp.id), 0) + 1,
+        name: args.name,
+        goal: args.goal ?? "",
+        startDate: args.start_date,
+        endDate: args.end_date,
+        status: "planned",
+      };
+      if (!getCurrentSprint(data)) {
+        sprint.status = "active";
+        setCurrentSprint(data, sprint);
+      }
+      data.sprints.push(sprint);
+      saveData(data);
+
+      return jsonResult({
+        ...sprint,
+        message:
+          sprint.status === "active"
+            ? `Спринт "${sprint.name}" создан и стал текущим`
+            : `Спринт "${sprint.name}" запланирован`,
+      });
+    }
+
+    case "assign_task_to_sprint": {
+      const task = data.tasks.find((t) => t.id === args.task_id);
+      if (!task) return errorResult(`Задача #${args.task_id} не найдена`);
+      const errors = validateTaskFields(data, { sprint_id: args.sprint_id });
+      if (errors.length > 0) return validationError(errors);
+
+      const sprintId = args.sprint_id ?? null;
+      const diff = {};
+      if ((task.sprintId ?? null) !== sprintId) {
+        diff.sprintId = { from: task.sprintId ?? null, to: sprintId };
+        task.sprintId = sprintId;
+        bumpVersion(task);
+        recordChange(data, task.id, "assign_sprint", diff, args.actor);
+        saveData(data);
+      }
+
+      return jsonResult({
+        id: task.id,
+        title: task.title,
+        version: task.version ?? 1,
+        changes: describeChanges(data, diff),
+        message:
+          sprintId === null
+            ? `Задача #${task.id} в бэклоге`
+            : `Задача #${task.id} в спринте "${formatFieldValue(data, "sprintId", sprintId)}"`,
+      });
+    }
+
+    case "close_sprint": {
+      const sprints = data.sprints ?? [];
+      const sprint =
+        args.sprint_id === undefined
+          ? getCurrentSprint(data)
+          : sprints.find((sp) => sp.id === args.sprint_id);
+      if (!sprint) {
+        return errorResult(
+          args.sprint_id === undefined
+            ? "Нет текущего спринта"
+            : `Спринт #${args.sprint_id} не найден`
+        );
+      }
+      if (sprint.status === "closed") {
+        return errorResult(`Спринт "${sprint.name}" уже закрыт`);
+      }
+
+      let next = null;
+      if (args.next_sprint_id !== undefined) {
+        next = sprints.find((sp) => sp.id === args.next_sprint_id);
+        if (!next || next.status === "closed" || next.id === sprint.id) {
+          return errorResult(
+            `next_sprint_id: спринт #${args.next_sprint_id} не найден, закрыт или совпадает с закрываемым`
+          );
+        }
+      } else {
+        next =
+          sprints
+            .filter((sp) => sp.status === "planned" && sp.id !== sprint.id)
+            .sort((a, b) => (a.startDate < b.startDate ? -1 : 1))[0] ?? null;
+      }
+
+      const sprintTasks = data.tasks.filter((t) => t.sprintId === sprint.id);
+      const unfinished = sprintTasks.filter((t) => t.status !== "done");
+      for (const task of unfinished) {
+        const diff = { sprintId: { from: sprint.id, to: next?.id ?? null } };
+        task.sprintId = next?.id ?? null;
+        bumpVersion(task);
+        recordChange(data, task.id, "carry_over", diff, args.actor);
+      }
+
+      sprint.status = "closed";
+      sprint.closedAt = isoToday();
+      sprint.completed = sprintTasks
+        .filter((t) => t.status === "done")
+        .map((t) => t.id);
+      sprint.carriedOver = unfinished.map((t) => t.id);
+      if (data.project.currentSprintId === sprint.id) {
+        setCurrentSprint(data, next);
+        if (next) next.status = "active";
+      }
+      saveData(data);
+
+      return jsonResult({
+        sprint: sprint.name,
+        completed: sprint.completed,
+        carriedOver: unfinished.map((t) => ({ id: t.id, title: t.title })),
+        carriedTo: next ? next.name : "бэклог",
+        currentSprint: getCurrentSprint(data)?.name ?? null,
+        message: `Спринт "${sprint.name}" закрыт: выполнено ${sprint.completed.length}, перенесено ${unfinished.length}`,
+      });
+    }
+
+    case "get_burndown": {
+      const sprint =
+        args.sprint_id === undefined
+          ? getCurrentSprint(data)
+          : (data.sprints ?? []).find((sp) => sp.id === args.sprint_id);
+      if (!sprint) {
+        return errorResult(
+          args.sprint_id === undefined
+            ? "Нет текущего спринта"
+            : `Спринт #${args.sprint_id} не найден`
+        );
+      }
+
+      const series = buildBurndown(data, sprint);
+      const known = series.filter((d) => d.actual !== null);
+      return jsonResult({
+        sprint: {
+          id: sprint.id,
+          name: sprint.name,
+          goal: sprint.goal,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
+          status: sprint.status,
+        },
+        unit: "tasks",
+        scope: getSprintTasks(data, sprint).length,
+        remaining: known.length > 0 ? known[known.length - 1].actual : null,
+        days: series,
+      });
+    }
+
     default:
       return {
         content: [
@@ -441,8 +2759,273 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         isError: true,
       };
   }
-});
+}
+
+// ---- Resources ----
+const SPRINT_RESOURCE = {
+  uri: "pm://sprint/current",
+  name: "Текущий спринт",
+  description: "Цель, сроки, прогресс и задачи текущего спринта",
+  mimeType: "application/json",
+};
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "pm://task/{id}",
+    name: "Задача",
+    description: "Задача с исполнителем, блокерами и комментариями",
+    mimeType: "application/json",
+  },
+];
+
+const TASK_URI_RE = /^pm:\/\/task\/(\d+)$/;
+
+function readPmResource(uri, data = loadData()) {
+  if (uri === SPRINT_RESOURCE.uri) {
+    const sprint = getCurrentSprint(data);
+    if (sprint) return JSON.stringify(sprintOverview(data, sprint), null, 2);
+  }
+  const match = TASK_URI_RE.exec(uri);
+  if (match) {
+    const task = data.tasks.find((t) => t.id === Number(match[1]));
+    if (task) return JSON.stringify(taskDetails(data, task), null, 2);
+  }
+  throw resourceNotFound(uri);
+}
+
+function resourceContents(uri, data) {
+  return { uri, mimeType: "application/json", text: readPmResource(uri, data) };
+}
+
+// tasks.json is also changed by other server processes and the CLI
+const subscriptions = createSubscriptions(readPmResource);
+store.watch(() => subscriptions.notifyChanged());
+
+function registerResourceHandlers(server) {
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    const data = loadData();
+    return paginate(
+      [
+        ...(getCurrentSprint(data) ? [() => SPRINT_RESOURCE] : []),
+        ...data.tasks.map((t) => () => ({
+          uri: `pm://task/${t.id}`,
+          name: `Задача #${t.id}: ${t.title}`,
+          mimeType: "application/json",
+        })),
+      ],
+      request.params?.cursor
+    );
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES,
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [resourceContents(request.params.uri)],
+  }));
+
+  subscriptions.attach(server);
+}
+
+// ---- Prompts ----
+const PROMPTS = [
+  {
+    name: "daily_standup",
+    description:
+      "Ежедневный стендап: что сделано, что в работе и что блокирует — по каждому участнику текущего спринта",
+    arguments: [
+      {
+        name: "member_id",
+        description: "Только этот участник (по умолчанию вся команда)",
+      },
+      {
+        name: "since_hours",
+        description: "За сколько часов учитывать изменения (по умолчанию 24)",
+      },
+    ],
+  },
+];
+
+function promptNumber(args, name, fallback) {
+  if (args?.[name] === undefined || args[name] === "") return fallback;
+  const value = Number(args[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${name}: ожидается положительное целое число, получено "${args[name]}"`
+    );
+  }
+  return value;
+}
+
+function dailyStandupPrompt(args) {
+  const data = loadData();
+  const memberId = promptNumber(args, "member_id", null);
+  const sinceHours = promptNumber(args, "since_hours", 24);
+  const members =
+    memberId === null
+      ? data.members
+      : data.members.filter((m) => m.id === memberId);
+  if (members.length === 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Участник #${memberId} не найден`
+    );
+  }
+
+  const since = new Date(Date.now() - sinceHours * 60 * 60 * 1000);
+  const recent = (data.history ?? []).filter((e) => new Date(e.at) >= since);
+  const today = isoToday();
+  const taskLine = (t) =>
+    `#${t.id} «${t.title}» (${t.status}, ${t.priority}${t.deadline ? `, до ${t.deadline}` : ""})`;
+
+  const sections = members.map((member) => {
+    const own = data.tasks.filter((t) => t.assigneeId === member.id);
+    const changes = recent
+      .filter((e) => own.some((t) => t.id === e.taskId))
+      .map((e) => {
+        const task = own.find((t) => t.id === e.taskId);
+        const changed = describeChanges(data, e.changes).join(", ");
+        return `  - #${task.id} «${task.title}»: ${changed || e.action}`;
+      });
+    const active = own.filter(
+      (t) => t.status === "in_progress" || t.status === "review"
+    );
+    const blocked = own.filter(
+      (t) => t.status !== "done" && hasOpenBlockers(data, t)
+    );
+    const overdue = own.filter(
+      (t) => t.status !== "done" && t.deadline && t.deadline < today
+    );
+    const list = (tasks) =>
+      tasks.length > 0
+        ? tasks.map((t) => `  - ${taskLine(t)}`).join("\n")
+        : "  - нет";
+    return [
+      `### ${member.name} (${member.role})`,
+      `Изменения за ${sinceHours} ч:`,
+      changes.length > 0 ? changes.join("\n") : "  - нет",
+      "В работе:",
+      list(active),
+      "Заблокировано:",
+      list(blocked),
+      "Просрочено:",
+      list(overdue),
+    ].join("\n");
+  });
+
+  const sprint = getCurrentSprint(data);
+  const text = [
+    "Подготовь заметки к ежедневному стендапу по данным ниже.",
+    "Для каждого участника: что сделано, над чем работает сегодня, что мешает.",
+    "В конце — общие риски для цели спринта и что стоит обсудить после стендапа.",
+    "Пиши кратко, на русском языке, в формате Markdown.",
+    "",
+    ...sections,
+  ].join("\n");
+
+  return {
+    description: `Стендап ${today}`,
+    messages: [
+      ...(sprint
+        ? [
+            {
+              role: "user",
+              content: {
+                type: "resource",
+                resource: resourceContents(SPRINT_RESOURCE.uri, data),
+              },
+            },
+          ]
+        : []),
+      { role: "user", content: { type: "text", text } },
+    ],
+  };
+}
+
+function registerPromptHandlers(server) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: PROMPTS,
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    switch (name) {
+      case "daily_standup":
+        return dailyStandupPrompt(args);
+      default:
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Неизвестный промпт: ${name}`
+        );
+    }
+  });
+}
+
+// ---- CLI ----
+const CLI_USAGE = `Использование:
+  node scripts/mcp-pm-server.mjs export <csv|markdown|ics> [--sprint <id|backlog>]
+  node scripts/mcp-pm-server.mjs import <file.csv> [--dry-run]`;
+
+async function runCli(command, cliArgs) {
+  const flag = (name) => {
+    const index = cliArgs.indexOf(name);
+    return index === -1 ? undefined : cliArgs[index + 1];
+  };
+  // Flags may come in any order, so the format or file is the first argument
+  // that is neither a flag nor the value of --sprint
+  const [argument] = cliArgs.filter(
+    (arg, i) => !arg.startsWith("--") && cliArgs[i - 1] !== "--sprint"
+  );
+  if (argument === undefined) {
+    console.error(CLI_USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let result;
+  if (command === "export") {
+    const sprint = flag("--sprint");
+    result = handleTool("export_tasks", {
+      format: argument,
+      ...(sprint !== undefined && {
+        sprint_id: sprint === "backlog" ? null : Number(sprint),
+      }),
+    });
+  } else {
+    let content;
+    try {
+      content = readFileSync(argument, "utf-8");
+    } catch (err) {
+      console.error(`Не удалось прочитать ${argument}: ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    result = await runWriteTool("import_tasks", {
+      content,
+      dry_run: cliArgs.includes("--dry-run"),
+      actor: "cli",
+    });
+  }
+
+  const text = result.content.map((c) => c.text).join("\n");
+  if (result.isError) {
+    console.error(text);
+    process.exitCode = 1;
+  } else {
+    process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+  }
+}
 
 // ---- Start ----
-const transport = new StdioServerTransport();
-await server.connect(transport);
+const [command, ...cliArgs] = process.argv.slice(2);
+if (command === "export" || command === "import") {
+  await runCli(command, cliArgs);
+} else {
+  await startServer(createServer, {
+    name: "pm-server",
+    defaultPort: 3101,
+    argv: process.argv.slice(2),
+  });
+}
@@ -1,228 +1,311 @@
-import { Client } from "@modelcontextprotocol/sdk/client/index.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+// Reviews a change against the project docs with an LLM.
+//   node scripts/mcp-review-client.mjs [--post]
+//       pull request PR_NUMBER of REPO_OWNER/REPO_NAME via the GitHub MCP
+//       server; with --post (what the workflow runs) findings go to the PR as
+//       inline review comments plus one summary comment
+//   node scripts/mcp-review-client.mjs --local [--base main] [--head HEAD]
+//       `git diff <base>...<head>` and docs from the working tree, e.g. before
+//       pushing; no GitHub token needed
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { formatForReview } from "./lib/diff.mjs";
+import { createEmbedder, openDocIndex } from "./lib/doc-index.mjs";
+import { createLlmProvider } from "./lib/llm.mjs";
+import { mapWithConcurrency, planBatches } from "./lib/review-batches.mjs";
+import {
+  RESPONSE_FORMAT,
+  mergeResults,
+  parseReviewResponse,
+  renderReport,
+} from "./lib/review-findings.mjs";
+import { publishReview } from "./lib/review-publish.mjs";
+import { openGithubSource, readLocalSource } from "./lib/review-sources.mjs";
 
 // ---- Configuration from environment ----
 const {
   GITHUB_TOKEN,
+  REVIEW_BOT_LOGIN,
   DEEPSEEK_API_KEY,
   REPO_OWNER,
   REPO_NAME,
   PR_NUMBER,
   GITHUB_STEP_SUMMARY,
+  REVIEW_CONFIG,
+  LLM_PROVIDER,
+  LLM_MODEL,
+  LLM_TEMPERATURE,
+  LLM_BASE_URL,
+  LLM_API_KEY,
+  LLM_FIXTURES_DIR,
+  REVIEW_BATCH_TOKENS,
+  REVIEW_MAX_FILE_TOKENS,
+  REVIEW_CONCURRENCY,
+  REVIEW_INDEX,
+  EMBEDDING_PROVIDER,
+  EMBEDDING_MODEL,
+  EMBEDDING_BASE_URL,
 } = process.env;
 
-if (!GITHUB_TOKEN) throw new Error("GITHUB_TOKEN is required");
-if (!DEEPSEEK_API_KEY) throw new Error("DEEPSEEK_API_KEY is required");
-if (!PR_NUMBER) throw new Error("PR_NUMBER is required");
+const cliArgs = process.argv.slice(2);
+const flag = (name) => {
+  const index = cliArgs.indexOf(name);
+  return index === -1 ? undefined : cliArgs[index + 1];
+};
+const localMode = cliArgs.includes("--local");
+const postMode = cliArgs.includes("--post");
 
-const owner = REPO_OWNER;
-const repo = REPO_NAME;
-const prNumber = Number(PR_NUMBER);
-
-// ---- 1. Connect to GitHub MCP server via stdio ----
-console.log("Starting GitHub MCP server...");
-
-const transport = new StdioClientTransport({
-  command: "npx",
-  args: ["-y", "@modelcontextprotocol/server-github"],
-  env: {
-    ...process.env,
-    GITHUB_PERSONAL_ACCESS_TOKEN: GITHUB_TOKEN,
-  },
-});
-
-const client = new Client({ name: "rag-review-client", version: "1.0.0" });
-await client.connect(transport);
-console.log("Connected to GitHub MCP server");
-
-// ---- 2. List available tools (debug) ----
-const { tools } = await client.listTools();
-const toolNames = tools.map((t) => t.name);
-console.log(`\nAvailable MCP tools (${toolNames.length}):`);
-for (const name of toolNames) {
-  console.log(`  - ${name}`);
+if (localMode && postMode) {
+  throw new Error("--post needs a pull request and cannot be used with --local");
+}
+if (!localMode) {
+  if (!GITHUB_TOKEN) throw new Error("GITHUB_TOKEN is required");
+  if (!PR_NUMBER) throw new Error("PR_NUMBER is required");
 }
 
-// ---- Helper: call tool with fallback names ----
-async function callTool(candidates, args) {
-  for (const name of candidates) {
-    if (toolNames.includes(name)) {
-      console.log(`\nCalling tool: ${name}`);
-      const result = await client.callTool({ name, arguments: args });
-      return result;
-    }
+// Optional JSON file (REVIEW_CONFIG) for settings that are not secrets:
+//   { "llm": { "provider": "ollama", "model": "qwen2.5-coder",
+//              "temperature": 0.2, "baseUrl": "http://localhost:11434/v1" },
+//     "review": { "batchTokens": 6000, "maxFileTokens": 24000,
+//                 "concurrency": 3, "indexPath": "review-index.json" },
+//     "embeddings": { "provider": "ollama", "model": "nomic-embed-text",
+//                     "baseUrl": "http://localhost:11434" } }
+// LLM_*, REVIEW_* and EMBEDDING_* variables override it. API keys come only
+// from the environment.
+const config = REVIEW_CONFIG
+  ? JSON.parse(readFileSync(REVIEW_CONFIG, "utf-8"))
+  : {};
+
+// Empty variables count as unset, so a workflow may pass optional repository
+// variables through as they are.
+if (LLM_TEMPERATURE && Number.isNaN(Number(LLM_TEMPERATURE))) {
+  throw new Error(`LLM_TEMPERATURE must be a number, got "${LLM_TEMPERATURE}"`);
+}
+const llmProvider = LLM_PROVIDER || config.llm?.provider || "deepseek";
+const llm = createLlmProvider({
+  provider: llmProvider,
+  model: LLM_MODEL || config.llm?.model,
+  temperature: LLM_TEMPERATURE
+    ? Number(LLM_TEMPERATURE)
+    : config.llm?.temperature ?? 0.3,
+  baseUrl: LLM_BASE_URL || config.llm?.baseUrl,
+  apiKey: llmProvider === "deepseek" ? DEEPSEEK_API_KEY : LLM_API_KEY,
+  fixturesDir:
+    LLM_FIXTURES_DIR ||
+    config.llm?.fixturesDir ||
+    fileURLToPath(new URL("./fixtures/llm", import.meta.url)),
+});
+console.log(`LLM: ${llm.provider} (${llm.model})`);
+
+// Doc chunks for the prompt are found by embeddings (Ollama by default) and
+// by BM25 when the embedder is off ("none") or unreachable. The index file
+// has the format of the Kotlin indexes, so e.g. release-index.json, which
+// covers the same docs, can be used as a ready cache.
+const embedder = createEmbedder({
+  provider: EMBEDDING_PROVIDER || config.embeddings?.provider,
+  model: EMBEDDING_MODEL || config.embeddings?.model,
+  baseUrl: EMBEDDING_BASE_URL || config.embeddings?.baseUrl,
+});
+const indexPath =
+  REVIEW_INDEX ||
+  config.review?.indexPath ||
+  fileURLToPath(new URL("../review-index.json", import.meta.url));
+
+function positiveInt(name, value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
   }
-  throw new Error(
-    `None of the tool candidates found: ${candidates.join(", ")}`
-  );
+  return number;
 }
-
-// ---- 3. Fetch PR data via MCP ----
-console.log("\n--- Fetching PR files (includes patches) ---");
-const filesResult = await callTool(
-  ["get_pull_request_files", "list_pull_request_files", "listPullRequestFiles"],
-  { owner, repo, pull_number: prNumber }
+// Prompt budget per LLM call for the diff, the largest file that is still
+// reviewed, and how many calls run at once
+const batchTokens = positiveInt(
+  "REVIEW_BATCH_TOKENS",
+  REVIEW_BATCH_TOKENS || config.review?.batchTokens,
+  6000
 );
-const filesText = extractText(filesResult);
-console.log(`PR files response length: ${filesText.length} chars`);
-
-// The files response contains patches per file — use it as the diff
-const diff = filesText;
-
-console.log("\n--- Fetching docs ---");
-const docFiles = ["docs/code-style.md", "docs/architecture.md"];
-let allDocs = "";
-for (const filePath of docFiles) {
-  try {
-    const docResult = await callTool(
-      ["get_file_contents", "getFileContents", "read_file"],
-      { owner, repo, path: filePath }
-    );
-    const content = extractText(docResult);
-    allDocs += `\n--- ${filePath} ---\n${content}\n`;
-    console.log(`  Loaded ${filePath} (${content.length} chars)`);
-  } catch (err) {
-    console.warn(`  Warning: could not load ${filePath}: ${err.message}`);
-  }
+const maxFileTokens = positiveInt(
+  "REVIEW_MAX_FILE_TOKENS",
+  REVIEW_MAX_FILE_TOKENS || config.review?.maxFileTokens,
+  24000
+);
+const concurrency = positiveInt(
+  "REVIEW_CONCURRENCY",
+  REVIEW_CONCURRENCY || config.review?.concurrency,
+  3
+);
+// Doc context per batch, and how much of the batch the docs are searched by
+const MAX_CONTEXT_CHARS = 5000;
+const MAX_QUERY_CHARS = 4000;
+
+// ---- 1. Read the change and the docs ----
+let source;
+try {
+  source = localMode
+    ? readLocalSource({ base: flag("--base") ?? "main", head: flag("--head") })
+    : await openGithubSource({
+        token: GITHUB_TOKEN,
+        owner: REPO_OWNER,
+        repo: REPO_NAME,
+        prNumber: Number(PR_NUMBER),
+      });
+} catch (err) {
+  console.error(`Could not read the change: ${err.message}`);
+  process.exit(1);
 }
+const { diff, files, docs: allDocs } = source;
 
-// ---- 4. RAG: select relevant doc chunks ----
-console.log("\n--- RAG: selecting relevant context ---");
-const chunks = splitByHeadings(allDocs);
-const keywords = extractKeywords(diff);
-console.log(`Keywords from diff: ${keywords.slice(0, 20).join(", ")}...`);
-
-const scored = chunks
-  .map((chunk) => ({
-    chunk,
-    score: scoreChunk(chunk, keywords),
-  }))
-  .sort((a, b) => b.score - a.score);
-
-let relevantContext = "";
-const maxContextLen = 5000;
-
-for (const { chunk, score } of scored) {
-  if (score === 0) continue;
-  if (relevantContext.length + chunk.length > maxContextLen) break;
-  relevantContext += chunk + "\n\n";
+if (files.length === 0) {
+  console.log(`\nNo changes in ${source.label}, nothing to review`);
+  await source.close();
+  process.exit(0);
 }
 
-// Fallback: if nothing matched, use everything (trimmed)
-if (!relevantContext.trim()) {
-  console.log("No keyword matches — using all docs as context");
-  relevantContext = allDocs.slice(0, maxContextLen);
-} else {
-  console.log(
-    `Selected ${relevantContext.length} chars of relevant context from ${scored.filter((s) => s.score > 0).length} chunks`
-  );
+// ---- 2. Split the change into batches ----
+const { batches, skipped } = planBatches(files, { batchTokens, maxFileTokens });
+console.log(
+  `\n--- ${files.length} files in ${batches.length} batches of up to ~${batchTokens} tokens ---`
+);
+for (const { path, reason } of skipped) {
+  console.log(`  Skipped ${path}: ${reason}`);
 }
 
-// ---- 5. Call DeepSeek API ----
-console.log("\n--- Calling DeepSeek API ---");
+// ---- 3. Review every batch with its own doc context ----
+console.log("\n--- RAG: indexing docs ---");
+const docIndex = await openDocIndex({ docs: allDocs, embedder, indexPath });
+console.log(`Doc chunks: ${docIndex.size}, retrieval: ${docIndex.method}`);
+
+console.log(
+  `\n--- Calling ${llm.provider} (${llm.model}), ${concurrency} at a time ---`
+);
 
-const systemPrompt = `Ты — ревьюер проекта RagKotlin. Вот релевантные правила стиля и архитектура проекта:
+async function reviewBatch(batch, index) {
+  const label = `Batch ${index + 1}/${batches.length}`;
+  const batchDiff = formatForReview(batch);
+  const relevantContext = await selectContext(batch, label);
+  const partNote =
+    batches.length > 1
+      ? `\n\nЭто часть ${index + 1} из ${batches.length} большого pull request: остальные файлы ревьюируются отдельно, оценивай только показанные.`
+      : "";
+
+  const systemPrompt = `Ты — ревьюер проекта RagKotlin. Вот релевантные правила стиля и архитектура проекта:
 
 ${relevantContext}
 
-Проанализируй diff и выдай: найденные проблемы, потенциальные баги, нарушения стиля, советы по улучшению. Отвечай на русском языке в формате Markdown.`;
-
-const userPrompt = `Вот diff pull request для ревью:\n\n\`\`\`diff\n${diff.slice(0, 15000)}\n\`\`\``;
-
-const response = await fetch(
-  "https://api.deepseek.com/v1/chat/completions",
-  {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${DEEPSEEK_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: "deepseek-chat",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      temperature: 0.3,
-    }),
-  }
-);
+Проанализируй diff и найди проблемы, потенциальные баги, нарушения стиля и архитектуры, дай советы по улучшению. В diff перед каждой строкой новой версии файла стоит её номер.${partNote}
 
-const data = await response.json();
-const review = data.choices?.[0]?.message?.content;
+${RESPONSE_FORMAT}`;
 
-if (!review) {
-  console.error("DeepSeek API returned no review content");
-  console.error("Raw response:", JSON.stringify(data));
+  const userPrompt = `Вот diff pull request для ревью:\n\n${batchDiff}`;
+
+  try {
+    const review = await llm.chat([
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ]);
+    const result = parseReviewResponse(review);
+    console.log(
+      `${label}: files ${batch.length}, findings ${result.findings.length}`
+    );
+    return result;
+  } catch (err) {
+    console.error(`${label}: LLM request failed: ${err.message}`);
+    for (const file of batch) {
+      skipped.push({
+        path: file.part ? `${file.path} (часть ${file.part})` : file.path,
+        reason: `ошибка LLM: ${err.message}`,
+      });
+    }
+    return null;
+  }
+}
+
+const results = (
+  await mapWithConcurrency(batches, concurrency, reviewBatch)
+).filter(Boolean);
+if (batches.length > 0 && results.length === 0) {
+  console.error("Every LLM request failed, no review produced");
+  await source.close();
   process.exit(1);
 }
 
-// ---- 6. Output review ----
+const result = { ...mergeResults(results), skipped };
+if (result.rejected > 0) {
+  console.warn(`Skipped ${result.rejected} malformed findings`);
+}
+const report = renderReport(result);
+
+// ---- 4. Output review ----
 console.log("\n## AI Code Review\n");
-console.log(review);
+console.log(report);
 
 // Write to GitHub Step Summary
 if (GITHUB_STEP_SUMMARY) {
   const { appendFileSync } = await import("node:fs");
   appendFileSync(
     GITHUB_STEP_SUMMARY,
-    `## AI Code Review (MCP + RAG)\n\n${review}\n`
+    `## AI Code Review (MCP + RAG)\n\n${report}\n`
   );
   console.log("\nReview written to Step Summary");
 }
 
+if (postMode) {
+  console.log("\n--- Posting review to the pull request ---");
+  try {
+    await publishReview({
+      source,
+      token: GITHUB_TOKEN,
+      owner: REPO_OWNER,
+      repo: REPO_NAME,
+      prNumber: Number(PR_NUMBER),
+      files,
+      findings: result.findings,
+      report,
+      botLogin: REVIEW_BOT_LOGIN,
+    });
+  } catch (err) {
+    console.error(`Posting the review failed: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
 // Disconnect MCP
-await client.close();
+await source.close();
 
 // ---- Utility functions ----
-
-function extractText(toolResult) {
-  if (!toolResult?.content) return "";
-  return toolResult.content
-    .filter((c) => c.type === "text")
-    .map((c) => c.text)
-    .join("\n");
-}
-
-function splitByHeadings(text) {
-  const parts = text.split(/(?=^## )/m);
-  return parts.map((p) => p.trim()).filter((p) => p.length > 0);
+// Retrieval query for a batch: file paths and the code of the new version
+function reviewQuery(batch) {
+  return batch
+    .flatMap((file) => [
+      file.path,
+      ...file.hunks.flatMap((hunk) =>
+        hunk.lines.filter((l) => l.type !== "-").map((l) => l.text.trim())
+      ),
+    ])
+    .filter(Boolean)
+    .join("\n")
+    .slice(0, MAX_QUERY_CHARS);
 }
 
-function extractKeywords(diffText) {
-  const words = new Set();
-
-  // File names from diff headers
-  const fileMatches = diffText.matchAll(/^(?:---|\+\+\+) [ab]\/(.+)$/gm);
-  for (const m of fileMatches) {
-    const parts = m[1].split("/");
-    for (const part of parts) {
-      const name = part.replace(/\.\w+$/, "");
-      if (name.length > 2) words.add(name.toLowerCase());
-    }
-  }
-
-  // Class / function / val / var names from Kotlin code
-  const codePatterns = [
-    /\b(?:class|object|interface)\s+(\w+)/g,
-    /\b(?:fun)\s+(\w+)/g,
-    /\b(?:val|var)\s+(\w+)/g,
-    /\b(?:import)\s+[\w.]+\.(\w+)/g,
-  ];
-  for (const pattern of codePatterns) {
-    for (const m of diffText.matchAll(pattern)) {
-      if (m[1].length > 2) words.add(m[1].toLowerCase());
-    }
-  }
+async function selectContext(batch, label) {
+  const { method, chunks } = await docIndex.search(reviewQuery(batch), {
+    maxChars: MAX_CONTEXT_CHARS,
+  });
 
-  return [...words];
-}
-
-function scoreChunk(chunk, keywords) {
-  const lower = chunk.toLowerCase();
-  let score = 0;
-  for (const kw of keywords) {
-    if (lower.includes(kw)) score++;
+  // Fallback: if nothing matched, use everything (trimmed)
+  if (chunks.length === 0) {
+    console.log(`${label}: no relevant doc chunks — using all docs as context`);
+    return allDocs.slice(0, MAX_CONTEXT_CHARS);
   }
-  return score;
+  console.log(
+    [
+      `${label}: ${chunks.length} doc chunks by ${method}`,
+      ...chunks.map(
+        (c) =>
+          `  ${c.source}#${c.chunkIndex} score ${c.score.toFixed(3)}, mmr ${c.mmr.toFixed(3)}`
+      ),
+    ].join("\n")
+  );
+  return chunks.map((c) => `[${c.source}]\n${c.text}`).join("\n\n");
 }
@@ -0,0 +1,68 @@
+// One-shot copy of the MCP server data between storage backends:
+//   node scripts/migrate-storage.mjs <from> <to> [--only tasks|crm] [--force]
+// e.g. `json sqlite` moves data/tasks.json and data/crm.json into
+// data/tasks.sqlite and data/crm.sqlite; `sqlite json` goes back. The target
+// is only overwritten with --force. Stop the servers first or start them with
+// the new MCP_STORAGE afterwards — they keep using the backend they opened.
+import { STORAGE_BACKENDS, openStore } from "./lib/storage.mjs";
+
+// Lock order shared with the servers: tasks first, then crm
+const DATASETS = ["tasks", "crm"];
+
+function isEmptyTarget(store) {
+  try {
+    const data = store.load();
+    return Object.keys(data).length === 0;
+  } catch {
+    // Missing file or empty database
+    return true;
+  }
+}
+
+function describe(data) {
+  return Object.entries(data)
+    .filter(([, value]) => Array.isArray(value))
+    .map(([key, value]) => `${value.length} ${key}`)
+    .join(", ");
+}
+
+async function migrate(name, from, to, force) {
+  const source = await openStore(name, from);
+  const target = await openStore(name, to);
+  await source.withLock(() =>
+    target.withLock(() => {
+      if (!force && !isEmptyTarget(target)) {
+        throw new Error(`${target.path} already has data, use --force`);
+      }
+      const data = source.load();
+      target.save(data);
+      console.log(`${source.path} → ${target.path}: ${describe(data)}`);
+    })
+  );
+}
+
+const args = process.argv.slice(2);
+const [from, to] = args;
+const onlyIndex = args.indexOf("--only");
+const only = onlyIndex === -1 ? undefined : args[onlyIndex + 1];
+if (
+  !STORAGE_BACKENDS.includes(from) ||
+  !STORAGE_BACKENDS.includes(to) ||
+  from === to ||
+  (only !== undefined && !DATASETS.includes(only))
+) {
+  console.error(
+    `Usage: node scripts/migrate-storage.mjs <from> <to> [--only ${DATASETS.join("|")}] [--force]\n` +
+      `Backends: ${STORAGE_BACKENDS.join(", ")}`
+  );
+  process.exit(2);
+}
+
+try {
+  for (const name of only ? [only] : DATASETS) {
+    await migrate(name, from, to, args.includes("--force"));
+  }
+} catch (err) {
+  console.error(`Migration failed: ${err.message}`);
+  process.exitCode = 1;
+}
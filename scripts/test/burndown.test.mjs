@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildBurndown } from "../lib/burndown.mjs";
+
+const sprint = {
+  id: 5,
+  startDate: "2025-06-01",
+  endDate: "2025-06-05",
+  status: "active",
+};
+
+// Tasks as the seed data has them: no history, created during the sprint
+function legacyData() {
+  return {
+    tasks: [
+      { id: 1, sprintId: 5, status: "in_progress", createdAt: "2025-06-01" },
+      { id: 2, sprintId: 5, status: "todo", createdAt: "2025-06-02" },
+      { id: 3, sprintId: 5, status: "done", createdAt: "2025-06-03" },
+      { id: 4, sprintId: 5, status: "todo", createdAt: "2025-05-20" },
+      { id: 5, sprintId: null, status: "todo", createdAt: "2025-06-01" },
+    ],
+  };
+}
+
+const actual = (series) => series.map((d) => d.actual);
+
+describe("buildBurndown", () => {
+  it("counts tasks without history from the sprint start", () => {
+    const series = buildBurndown(legacyData(), sprint, "2025-06-03");
+    assert.deepEqual(
+      series.map((d) => d.ideal),
+      [4, 3, 2, 1, 0]
+    );
+    assert.deepEqual(actual(series), [3, 3, 3, null, null]);
+  });
+
+  it("follows history: creation, status changes", () => {
+    const data = legacyData();
+    data.tasks.push({ id: 6, sprintId: 5, status: "done" });
+    data.history = [
+      {
+        taskId: 6,
+        action: "create",
+        at: "2025-06-02T10:00:00.000Z",
+        changes: {},
+      },
+      {
+        taskId: 3,
+        action: "update",
+        at: "2025-06-03T12:00:00.000Z",
+        changes: { status: { from: "review", to: "done" } },
+      },
+      {
+        taskId: 6,
+        action: "update",
+        at: "2025-06-04T09:00:00.000Z",
+        changes: { status: { from: "todo", to: "done" } },
+      },
+    ];
+    assert.deepEqual(
+      actual(buildBurndown(data, sprint, "2025-06-05")),
+      [4, 5, 4, 3, 3]
+    );
+  });
+
+  it("stops at the day the sprint was closed", () => {
+    const closed = { ...sprint, status: "closed", closedAt: "2025-06-02" };
+    assert.deepEqual(
+      actual(buildBurndown(legacyData(), closed, "2025-06-05")),
+      [3, 3, null, null, null]
+    );
+  });
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+describe("CRM server: links between tickets and tasks", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-crm-server.mjs", {
+      edit: {
+        // Task #2 fixes the Confluence request of ticket #106
+        tasks(data) {
+          data.tasks.find((t) => t.id === 2).linkedTicketIds = [106];
+        },
+        crm(data) {
+          data.tickets.find((t) => t.id === 106).linkedTaskIds = [2];
+        },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  const ticket = (id) => server.read("crm").tickets.find((t) => t.id === id);
+  const task = (id) => server.read("tasks").tasks.find((t) => t.id === id);
+
+  it("reads links from both files", async () => {
+    const { value } = await server.call("get_linked_items", { ticket_id: 106 });
+    assert.deepEqual(
+      value.tasks.map((t) => t.id),
+      [2]
+    );
+  });
+
+  it("puts the ticket back when tasks.json can not be written", async () => {
+    // The JSON store writes through <file>.<pid>.tmp; a directory in its
+    // place makes the write fail
+    const blocker = join(server.dir, `tasks.json.${server.pid}.tmp`);
+    mkdirSync(blocker);
+    const before = ticket(101);
+    try {
+      const failed = await server.call("link_ticket_to_task", {
+        ticket_id: 101,
+        task_id: 1,
+      });
+      assert.equal(failed.isError, true);
+    } finally {
+      rmSync(blocker, { recursive: true });
+    }
+    assert.deepEqual(ticket(101), before);
+    assert.equal(task(1).linkedTicketIds, undefined);
+
+    const linked = await server.call("link_ticket_to_task", {
+      ticket_id: 101,
+      task_id: 1,
+    });
+    assert.equal(linked.isError, false);
+    assert.deepEqual(ticket(101).linkedTaskIds, [1]);
+    assert.deepEqual(task(1).linkedTicketIds, [101]);
+  });
+});
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+// Enterprise (user #3), critical: first response in 1 hour, resolution in 4
+const CREATED = Date.parse("2025-06-02T08:00:00.000Z");
+const at = (hours) => new Date(CREATED + hours * 3600 * 1000).toISOString();
+
+function ticket(id, fields) {
+  return {
+    id,
+    userId: 3,
+    status: "open",
+    priority: "critical",
+    subject: `Тикет для проверки SLA ${id}`,
+    createdAt: at(0),
+    messages: [
+      { author: "customer", text: "Сервис недоступен", at: at(0) },
+      { author: "agent", text: "Смотрим", at: at(0.5) },
+    ],
+    ...fields,
+  };
+}
+
+const change = (from, to, hours) => ({ from, to, at: at(hours) });
+
+describe("CRM server: SLA with paused intervals", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-crm-server.mjs", {
+      edit: {
+        crm(data) {
+          data.tickets.push(
+            // Waits for the customer from hour 3 to 6, over the 4-hour mark
+            ticket(901, {
+              status: "resolved",
+              resolvedAt: at(6.5),
+              statusChanges: [
+                change("open", "waiting_customer", 3),
+                change("waiting_customer", "open", 6),
+                change("open", "resolved", 6.5),
+              ],
+            }),
+            // Resolved at hour 2 and reopened an hour later
+            ticket(902, {
+              statusChanges: [
+                change("open", "waiting_customer", 1),
+                change("waiting_customer", "resolved", 2),
+                change("resolved", "open", 3),
+              ],
+            }),
+            // The same, then resolved again
+            ticket(903, {
+              status: "resolved",
+              resolvedAt: at(5.5),
+              statusChanges: [
+                change("open", "waiting_customer", 1),
+                change("waiting_customer", "resolved", 2),
+                change("resolved", "open", 3),
+                change("open", "resolved", 5.5),
+              ],
+            })
+          );
+        },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  const clock = async (ticketId, target) => {
+    const { value } = await server.call("get_ticket", { ticket_id: ticketId });
+    return value.sla.find((c) => c.target === target);
+  };
+
+  it("moves the deadline by a pause that spans it", async () => {
+    assert.deepEqual(await clock(901, "resolution"), {
+      target: "resolution",
+      state: "met",
+      dueAt: at(7),
+      pausedHours: 3,
+    });
+    // The pause came after the first reply and does not touch its clock
+    assert.deepEqual(await clock(901, "first_response"), {
+      target: "first_response",
+      state: "met",
+      dueAt: at(1),
+    });
+  });
+
+  it("runs the resolution clock again for a reopened ticket", async () => {
+    const resolution = await clock(902, "resolution");
+    assert.equal(resolution.state, "breached");
+    assert.equal(resolution.dueAt, at(5));
+    assert.equal(resolution.pausedHours, 1);
+
+    const sla = await server.call("get_sla_status", {});
+    assert.ok(sla.value.breached.some((e) => e.ticketId === 902));
+  });
+
+  it("judges a ticket resolved again by its last resolution", async () => {
+    assert.deepEqual(await clock(903, "resolution"), {
+      target: "resolution",
+      state: "missed",
+      dueAt: at(5),
+      pausedHours: 1,
+    });
+  });
+});
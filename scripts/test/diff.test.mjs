@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { anchorLine, lineText, parseHunks } from "../lib/diff.mjs";
+
+const files = [
+  {
+    path: "src/App.kt",
+    hunks: parseHunks(
+      [
+        "@@ -10,4 +10,5 @@ class App {",
+        " fun start() {",
+        "-    old()",
+        "+    load()",
+        "+    save()",
+        " }",
+        " ",
+        "@@ -40,2 +41,1 @@",
+        "-    removed()",
+        " // end",
+      ].join("\n")
+    ),
+  },
+];
+
+describe("anchorLine", () => {
+  it("keeps a line that is in the diff", () => {
+    assert.equal(anchorLine(files, "src/App.kt", 11), 11);
+    assert.equal(anchorLine(files, "src/App.kt", 41), 41);
+  });
+
+  it("returns null outside the hunks and for other files", () => {
+    assert.equal(anchorLine(files, "src/App.kt", 9), null);
+    assert.equal(anchorLine(files, "src/App.kt", 20), null);
+    assert.equal(anchorLine(files, "src/Other.kt", 11), null);
+    assert.equal(anchorLine(files, "src/App.kt", undefined), null);
+  });
+});
+
+describe("lineText", () => {
+  it("returns the text of a line of the new version", () => {
+    assert.equal(lineText(files, "src/App.kt", 12), "    save()");
+    assert.equal(lineText(files, "src/App.kt", 30), null);
+  });
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { openDocIndex } from "../lib/doc-index.mjs";
+
+const docs = [
+  "--- docs/style.md ---",
+  "Используйте корутины для асинхронного кода.",
+  "--- docs/architecture.md ---",
+  "Слой данных отделён от UI.",
+].join("\n");
+
+// Vectors of one dimension for every model, as models of one family have
+function fakeEmbedder(model) {
+  const embedder = {
+    model,
+    embedded: 0,
+    async embed(texts) {
+      embedder.embedded += texts.length;
+      return texts.map((text) => [text.length, model.length, 1]);
+    },
+  };
+  return embedder;
+}
+
+describe("openDocIndex", () => {
+  let dir;
+  let indexPath;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "doc-index-"));
+    indexPath = join(dir, "index.json");
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("embeds the chunks and records the model in the index", async () => {
+    const embedder = fakeEmbedder("nomic-embed-text");
+    const index = await openDocIndex({ docs, embedder, indexPath });
+    assert.equal(index.method, "embeddings");
+    assert.equal(embedder.embedded, 2);
+    const entries = JSON.parse(readFileSync(indexPath, "utf-8"));
+    assert.deepEqual(
+      entries.map((e) => e.model),
+      ["nomic-embed-text", "nomic-embed-text"]
+    );
+  });
+
+  it("reuses the vectors of the same model", async () => {
+    const embedder = fakeEmbedder("nomic-embed-text");
+    await openDocIndex({ docs, embedder, indexPath });
+    assert.equal(embedder.embedded, 0);
+  });
+
+  it("re-embeds for another model of the same dimension", async () => {
+    const embedder = fakeEmbedder("mxbai-embed-large");
+    await openDocIndex({ docs, embedder, indexPath });
+    assert.equal(embedder.embedded, 2);
+    const entries = JSON.parse(readFileSync(indexPath, "utf-8"));
+    assert.ok(entries.every((e) => e.model === "mxbai-embed-large"));
+  });
+});
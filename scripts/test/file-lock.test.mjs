@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  utimesSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createFileLock } from "../lib/file-lock.mjs";
+
+const LOCK_MODULE = new URL("../lib/file-lock.mjs", import.meta.url).href;
+
+// Child process: takes the lock, says "locked", and either holds it for
+// `holdMs` or increments the number in `counterPath` `times` times.
+const CHILD = `
+import { readFileSync, writeFileSync } from "node:fs";
+import { createFileLock } from ${JSON.stringify(LOCK_MODULE)};
+const [lockPath, holdMs, counterPath, times] = process.argv.slice(1);
+const { withLock } = createFileLock(lockPath);
+if (counterPath) {
+  for (let i = 0; i < Number(times); i++) {
+    await withLock(async () => {
+      const value = Number(readFileSync(counterPath, "utf-8"));
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      writeFileSync(counterPath, String(value + 1));
+    });
+  }
+} else {
+  await withLock(async () => {
+    process.stdout.write("locked\\n");
+    await new Promise((resolve) => setTimeout(resolve, Number(holdMs)));
+  });
+}
+`;
+
+function runChild(...args) {
+  const child = spawn(
+    process.execPath,
+    ["--input-type=module", "-e", CHILD, ...args],
+    { stdio: ["ignore", "pipe", "inherit"] }
+  );
+  child.exited = once(child, "exit").then(([code]) => code);
+  return child;
+}
+
+async function holdLock(lockPath, holdMs) {
+  const child = runChild(lockPath, String(holdMs));
+  await once(child.stdout, "data");
+  return child;
+}
+
+async function deadPid() {
+  const child = spawn(process.execPath, ["-e", ""]);
+  await once(child, "exit");
+  return child.pid;
+}
+
+describe("createFileLock", () => {
+  let dir;
+  let lockPath;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "file-lock-"));
+    lockPath = join(dir, "data.json.lock");
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("waits until another process releases the lock", async () => {
+    const child = await holdLock(lockPath, 300);
+    const started = Date.now();
+    await createFileLock(lockPath).withLock(() => {});
+    assert.ok(Date.now() - started >= 200);
+    assert.equal(await child.exited, 0);
+    assert.equal(existsSync(lockPath), false);
+  });
+
+  it("gives up after the timeout while the owner is alive", async () => {
+    const child = await holdLock(lockPath, 1500);
+    await assert.rejects(
+      createFileLock(lockPath, { timeoutMs: 200 }).withLock(() => {}),
+      /Не удалось получить блокировку/
+    );
+    assert.equal(await child.exited, 0);
+    assert.equal(existsSync(lockPath), false);
+  });
+
+  it("breaks the lock of a process that is gone", async () => {
+    writeFileSync(
+      lockPath,
+      JSON.stringify({ pid: await deadPid(), token: "old", at: 0 })
+    );
+    const result = await createFileLock(lockPath, {
+      timeoutMs: 1000,
+    }).withLock(() => "done");
+    assert.equal(result, "done");
+    assert.equal(existsSync(lockPath), false);
+  });
+
+  it("breaks an empty lock file older than the timeout", async () => {
+    writeFileSync(lockPath, "");
+    const past = new Date(Date.now() - 60 * 1000);
+    utimesSync(lockPath, past, past);
+    const started = Date.now();
+    const lock = createFileLock(lockPath, { timeoutMs: 5000 });
+    assert.equal(await lock.withLock(() => "done"), "done");
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("serializes read-modify-write cycles of two processes", async () => {
+    const counterPath = join(dir, "counter");
+    writeFileSync(counterPath, "0");
+    const children = [1, 2].map(() =>
+      runChild(lockPath, "0", counterPath, "25")
+    );
+    for (const child of children) assert.equal(await child.exited, 0);
+    assert.equal(readFileSync(counterPath, "utf-8"), "50");
+  });
+});
@@ -0,0 +1,66 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const SCRIPTS_DIR = fileURLToPath(new URL("../", import.meta.url));
+const DATA_DIR = new URL("../../data/", import.meta.url);
+const DATASETS = ["tasks", "crm"];
+
+// Copies data/ into a temp directory for MCP_DATA_DIR and returns its path.
+//   edit  { tasks?(data), crm?(data) } — changes the copy
+export function copyData(edit = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "mcp-test-"));
+  for (const name of DATASETS) {
+    const data = JSON.parse(
+      readFileSync(new URL(`${name}.json`, DATA_DIR), "utf-8")
+    );
+    edit[name]?.(data);
+    writeFileSync(join(dir, `${name}.json`), JSON.stringify(data, null, 2));
+  }
+  return dir;
+}
+
+// Runs an MCP server of scripts/ over stdio on a copy of data/ (see
+// copyData), so tests can call its tools without touching the real data.
+//   env   extra environment of the server
+// call(name, args) resolves to { isError, text, value }, where value is the
+// parsed JSON of the text (undefined if it is not JSON); read(name) returns
+// the dataset as the server left it; pid is the server process.
+export async function startMcpServer(script, { edit = {}, env = {} } = {}) {
+  const dir = copyData(edit);
+
+  const client = new Client({ name: "test", version: "1.0.0" });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [join(SCRIPTS_DIR, script)],
+    env: { ...process.env, MCP_STORAGE: "json", MCP_DATA_DIR: dir, ...env },
+    stderr: "ignore",
+  });
+  await client.connect(transport);
+
+  async function call(name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    const text = result.content.map((c) => c.text).join("\n");
+    let value;
+    try {
+      value = JSON.parse(result.content[0]?.text);
+    } catch {
+      value = undefined;
+    }
+    return { isError: Boolean(result.isError), text, value };
+  }
+
+  function read(name) {
+    return JSON.parse(readFileSync(join(dir, `${name}.json`), "utf-8"));
+  }
+
+  async function close() {
+    await client.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { dir, pid: transport.pid, client, call, read, close };
+}
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+const ids = (tasks) => tasks.map((t) => t.id);
+
+describe("PM server: dependencies", () => {
+  const servers = [];
+  const start = async (edit) => {
+    const server = await startMcpServer("mcp-pm-server.mjs", { edit });
+    servers.push(server);
+    return server;
+  };
+
+  after(() => Promise.all(servers.map((s) => s.close())));
+
+  it("orders the seed tasks and finds the longest chain", async () => {
+    const server = await start();
+    const { value } = await server.call("get_dependency_graph");
+    assert.equal(value.openTasks, 8);
+    const order = ids(value.topologicalOrder);
+    for (const { from, to } of value.edges) {
+      assert.ok(order.indexOf(from) < order.indexOf(to), `${from} → ${to}`);
+    }
+    assert.equal(value.criticalPath.length, 2);
+    assert.deepEqual(
+      value.bottlenecks.map((b) => [b.id, b.blocksOpenTasks]),
+      [
+        [3, 2],
+        [1, 1],
+      ]
+    );
+    assert.equal(value.tasksInCycle, undefined);
+  });
+
+  it("finds the longest chain and leaves out done blockers", async () => {
+    const server = await start({
+      tasks(data) {
+        // 3 → 7 → 5 → 6, and 8 (done) in front of 1
+        const task = (id) => data.tasks.find((t) => t.id === id);
+        task(5).blockedBy = [7];
+        task(6).blockedBy = [5];
+        task(1).blockedBy = [8];
+      },
+    });
+    const { value } = await server.call("get_dependency_graph");
+    assert.deepEqual(ids(value.criticalPath.tasks), [3, 7, 5, 6]);
+    assert.ok(!value.edges.some((e) => e.from === 8));
+  });
+
+  it("reports tasks stuck in a cycle and refuses to add one", async () => {
+    const server = await start({
+      tasks(data) {
+        // A cycle left by hand-edited data: 5 → 6 → 5
+        data.tasks.find((t) => t.id === 5).blockedBy = [6];
+        data.tasks.find((t) => t.id === 6).blockedBy = [5];
+      },
+    });
+    const { value } = await server.call("get_dependency_graph");
+    assert.deepEqual(value.tasksInCycle, [5, 6]);
+    assert.ok(!ids(value.topologicalOrder).includes(5));
+
+    const cycle = await server.call("add_dependency", {
+      task_id: 3,
+      blocked_by_id: 7,
+    });
+    assert.equal(cycle.isError, true);
+    assert.match(cycle.text, /создаст цикл: #3 → #7 → #3/);
+
+    const self = await server.call("add_dependency", {
+      task_id: 3,
+      blocked_by_id: 3,
+    });
+    assert.match(self.text, /не может блокировать саму себя/);
+  });
+
+  it("adds and removes a dependency", async () => {
+    const server = await start();
+    const added = await server.call("add_dependency", {
+      task_id: 5,
+      blocked_by_id: 4,
+    });
+    assert.deepEqual(added.value.blockedBy, [4]);
+    const graph = await server.call("get_dependency_graph");
+    assert.deepEqual(ids(graph.value.criticalPath.tasks), [3, 4, 5]);
+
+    const removed = await server.call("remove_dependency", {
+      task_id: 5,
+      blocked_by_id: 4,
+    });
+    assert.equal(removed.isError, false);
+    assert.deepEqual(server.read("tasks").tasks[4].blockedBy, []);
+  });
+});
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { copyData } from "./mcp-harness.mjs";
+
+const SERVER = fileURLToPath(new URL("../mcp-pm-server.mjs", import.meta.url));
+
+// Titles and descriptions that need CSV quoting and ICS escaping
+const TITLE = 'Отчёт "Q3", итоги; черновик';
+const DESCRIPTION = "Первая строка, с запятой\nвторая строка\r\nтретья";
+
+describe("PM CLI: export → import round trip", () => {
+  let dir;
+
+  before(() => {
+    dir = copyData({
+      tasks(data) {
+        const task = data.tasks.find((t) => t.id === 2);
+        task.title = TITLE;
+        task.description = DESCRIPTION;
+      },
+    });
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const cli = (...args) =>
+    execFileSync(process.execPath, [SERVER, ...args], {
+      env: { ...process.env, MCP_STORAGE: "json", MCP_DATA_DIR: dir },
+      encoding: "utf-8",
+      stdio: "pipe",
+    });
+  const dryRun = (content) => {
+    const file = join(dir, "import.csv");
+    writeFileSync(file, content);
+    return JSON.parse(cli("import", file, "--dry-run"));
+  };
+  const tasksFile = () => readFileSync(join(dir, "tasks.json"), "utf-8");
+
+  it("changes nothing when the exported CSV is imported back", () => {
+    const csv = cli("export", "csv");
+    assert.match(csv, /"Отчёт ""Q3"", итоги; черновик"/);
+    const result = dryRun(csv);
+    assert.deepEqual(result.created, []);
+    assert.deepEqual(result.updated, []);
+    assert.equal(result.unchanged, 9);
+  });
+
+  it("reads the file as a spreadsheet saves it, with a BOM", () => {
+    const result = dryRun(`\uFEFF${cli("export", "csv").trimEnd()}\r\n`);
+    assert.deepEqual(result.updated, []);
+    assert.equal(result.unchanged, 9);
+  });
+
+  it("reports only the edited row and saves nothing on --dry-run", () => {
+    const before = tasksFile();
+    const csv = cli("export", "csv").replace(
+      "3,CI/CD пайплайн,",
+      '3,"CI/CD пайплайн, с кэшем",'
+    );
+    const result = dryRun(csv);
+    assert.deepEqual(
+      result.updated.map((t) => t.id),
+      [3]
+    );
+    assert.equal(result.unchanged, 8);
+    assert.equal(tasksFile(), before);
+  });
+
+  it("exports every deadline to ICS with escaped, folded text", () => {
+    const ics = cli("export", "ics");
+    const lines = ics.trimEnd().split("\r\n");
+    for (const line of lines) assert.ok(Buffer.byteLength(line) <= 75, line);
+
+    // Unfold, then read the events back
+    const events = ics
+      .replace(/\r\n /g, "")
+      .split("BEGIN:VEVENT")
+      .slice(1)
+      .map((event) =>
+        Object.fromEntries(
+          event
+            .split("\r\n")
+            .filter((l) => l.includes(":"))
+            .map((l) => {
+              const colon = l.indexOf(":");
+              return [l.slice(0, colon), l.slice(colon + 1)];
+            })
+        )
+      );
+    const unescape = (text) =>
+      text.replace(/\\(.)/g, (_, ch) => (ch === "n" ? "\n" : ch));
+    const tasks = JSON.parse(tasksFile()).tasks;
+
+    assert.deepEqual(
+      events.map((e) => e.UID),
+      tasks.filter((t) => t.deadline).map((t) => `task-${t.id}@ragkotlin`)
+    );
+    const event = events.find((e) => e.UID === "task-2@ragkotlin");
+    assert.equal(unescape(event.SUMMARY), `#2 ${TITLE}`);
+    assert.equal(event["DTSTART;VALUE=DATE"], "20250613");
+    assert.ok(
+      unescape(event.DESCRIPTION).endsWith(DESCRIPTION.replace(/\r\n/g, "\n"))
+    );
+    assert.equal(event.CATEGORIES, "integration,backend");
+  });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+describe("PM server: sprints", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-pm-server.mjs");
+  });
+
+  after(() => server.close());
+
+  it("starts the burndown of the seed sprint with its whole scope", async () => {
+    const { value } = await server.call("get_burndown", {});
+    assert.equal(value.scope, 8);
+    // Task #8 was done before the sprint, the rest are open
+    assert.deepEqual(value.days[0], {
+      date: "2025-06-01",
+      ideal: 8,
+      actual: 7,
+    });
+  });
+
+  it("keeps the project fields of the current sprint up to date", async () => {
+    const created = await server.call("create_sprint", {
+      name: "Sprint 6",
+      goal: "Стабилизация",
+      start_date: "2025-06-15",
+      end_date: "2025-06-28",
+    });
+    assert.equal(created.value.status, "planned");
+
+    const closed = await server.call("close_sprint", {});
+    assert.equal(closed.value.currentSprint, "Sprint 6");
+    assert.deepEqual(server.read("tasks").project, {
+      name: "RagKotlin",
+      currentSprint: "Sprint 6",
+      sprintGoal: "Стабилизация",
+      startDate: "2025-06-15",
+      endDate: "2025-06-28",
+      currentSprintId: created.value.id,
+    });
+  });
+});
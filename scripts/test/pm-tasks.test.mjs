@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+describe("PM server: tags and comments", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-pm-server.mjs");
+  });
+
+  after(() => server.close());
+
+  const taskIds = (result) => result.value.results.map((r) => r.id);
+
+  it("normalizes and dedups tags on create", async () => {
+    const { value } = await server.call("create_task", {
+      title: "Теги при создании",
+      description: "Проверка нормализации",
+      priority: "low",
+      assignee_id: 1,
+      tags: ["Backend", " backend ", "New"],
+    });
+    assert.deepEqual(value.tags, ["backend", "new"]);
+
+    const found = await server.call("search_tasks", { tags: ["NEW"] });
+    assert.deepEqual(taskIds(found), [value.id]);
+  });
+
+  it("normalizes tags on patch, so tag tools see them", async () => {
+    const patch = await server.call("patch_task", {
+      task_id: 1,
+      tags: ["Backend", "New", "NEW"],
+    });
+    assert.equal(patch.isError, false);
+    assert.deepEqual(server.read("tasks").tasks[0].tags, ["backend", "new"]);
+
+    const again = await server.call("add_tag", { task_id: 1, tag: "backend" });
+    assert.equal(again.isError, true);
+    assert.match(again.text, /уже есть тег "backend"/);
+
+    const removed = await server.call("remove_tag", { task_id: 1, tag: "New" });
+    assert.deepEqual(removed.value.tags, ["backend"]);
+  });
+
+  it("versions comments and keeps them in history", async () => {
+    const task = server.read("tasks").tasks.find((t) => t.id === 3);
+    const { value } = await server.call("add_comment", {
+      task_id: 3,
+      author: "Иван",
+      text: "Начал настройку пайплайна",
+    });
+    assert.equal(value.version, (task.version ?? 1) + 1);
+
+    const stale = await server.call("add_comment", {
+      task_id: 3,
+      author: "Мария",
+      text: "Устаревшая версия",
+      expected_version: task.version ?? 1,
+    });
+    assert.equal(stale.isError, true);
+    assert.match(stale.text, /Конфликт версий/);
+
+    const history = await server.call("get_task_history", { task_id: 3 });
+    const entry = history.value.history.at(-1);
+    assert.equal(entry.action, "comment");
+    assert.equal(entry.actor, "Иван");
+    assert.deepEqual(entry.summary, ["комментарии: — → 1 шт."]);
+
+    const undo = await server.call("undo_last_change", { task_id: 3 });
+    assert.equal(undo.isError, false);
+    const comments = await server.call("list_comments", { task_id: 3 });
+    assert.equal(comments.value.totalComments, 0);
+  });
+});
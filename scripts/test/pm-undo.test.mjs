@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+describe("PM server: undo", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-pm-server.mjs");
+  });
+
+  after(() => server.close());
+
+  const task = (id) => server.read("tasks").tasks.find((t) => t.id === id);
+  const undo = (args = {}) => server.call("undo_last_change", args);
+
+  it("reverts changes one by one, newest first", async () => {
+    await server.call("patch_task", { task_id: 5, priority: "critical" });
+    await server.call("patch_task", {
+      task_id: 5,
+      priority: "low",
+      deadline: null,
+    });
+
+    const last = await undo({ task_id: 5 });
+    assert.deepEqual(last.value.changes, [
+      "приоритет: low → critical",
+      "дедлайн: — → 2025-06-12",
+    ]);
+    assert.equal(task(5).priority, "critical");
+    assert.equal(task(5).deadline, "2025-06-12");
+
+    await undo({ task_id: 5 });
+    assert.equal(task(5).priority, "high");
+    assert.equal(task(5).version, 5);
+
+    const none = await undo({ task_id: 5 });
+    assert.equal(none.isError, true);
+    assert.match(none.text, /У задачи #5 нет изменений для отмены/);
+
+    const history = await server.call("get_task_history", { task_id: 5 });
+    assert.deepEqual(
+      history.value.history.map((e) => e.action),
+      ["patch", "patch", "undo", "undo"]
+    );
+  });
+
+  it("undoes the latest change of the project without task_id", async () => {
+    await server.call("patch_task", { task_id: 4, title: "Дашборд поиска" });
+    await server.call("patch_task", { task_id: 6, title: "Тесты MCP" });
+    const result = await undo();
+    assert.equal(result.value.id, 6);
+    assert.equal(task(6).title, "Написать интеграционные тесты MCP");
+    assert.equal(task(4).title, "Дашборд поиска");
+  });
+
+  it("refuses when the field changed outside the history", async () => {
+    await server.call("patch_task", { task_id: 7, priority: "high" });
+    // An edit of tasks.json by hand
+    const data = server.read("tasks");
+    data.tasks.find((t) => t.id === 7).priority = "low";
+    writeFileSync(join(server.dir, "tasks.json"), JSON.stringify(data));
+
+    const result = await undo({ task_id: 7 });
+    assert.equal(result.isError, true);
+    assert.match(result.text, /поле priority задачи #7 с тех пор изменилось/);
+    assert.equal(task(7).priority, "low");
+  });
+
+  it("does not bring back a dependency that would close a cycle", async () => {
+    await server.call("remove_dependency", { task_id: 2, blocked_by_id: 1 });
+    await server.call("add_dependency", { task_id: 1, blocked_by_id: 2 });
+    const result = await undo({ task_id: 2 });
+    assert.equal(result.isError, true);
+    assert.match(result.text, /получится цикл #2 → #1 → #2/);
+    assert.deepEqual(task(2).blockedBy, []);
+  });
+
+  it("deletes a created task unless another one depends on it", async () => {
+    const created = await server.call("create_task", {
+      title: "Временная задача",
+      description: "Будет отменена",
+      priority: "low",
+      assignee_id: 2,
+    });
+    const id = created.value.id;
+    await server.call("add_dependency", { task_id: 9, blocked_by_id: id });
+
+    const refused = await undo({ task_id: id });
+    assert.match(refused.text, /от неё зависят #9/);
+
+    await undo({ task_id: 9 });
+    const removed = await undo({ task_id: id });
+    assert.match(removed.value.message, /задача удалена/);
+    assert.equal(task(id), undefined);
+  });
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startMcpServer } from "./mcp-harness.mjs";
+
+describe("PM server: field validation and workflow", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-pm-server.mjs", {
+      edit: {
+        tasks(data) {
+          data.sprints.unshift({
+            id: 4,
+            name: "Sprint 4",
+            startDate: "2025-05-18",
+            endDate: "2025-05-31",
+            status: "closed",
+          });
+        },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  const status = (id) =>
+    server.read("tasks").tasks.find((t) => t.id === id).status;
+  const setStatus = (id, value) =>
+    server.call("update_task", { task_id: id, status: value });
+
+  it("lists every invalid field and creates nothing", async () => {
+    const result = await server.call("create_task", {
+      title: " ",
+      description: "Описание",
+      priority: "urgent",
+      assignee_id: 42,
+      deadline: "2025-02-30",
+      tags: ["ok", ""],
+    });
+    assert.equal(result.isError, true);
+    assert.deepEqual(result.text.split("\n").slice(1), [
+      "- title: ожидается непустая строка",
+      '- priority: "urgent" — допустимые значения: low, medium, high, critical',
+      "- assignee_id: член команды #42 не найден — доступны: 1 (Иван Петров), 2 (Мария Сидорова), 3 (Алексей Козлов), 4 (Елена Новикова)",
+      '- deadline: "2025-02-30" — ожидается существующая дата в формате YYYY-MM-DD',
+      "- tags: ожидается массив непустых строк",
+    ]);
+    assert.equal(server.read("tasks").tasks.length, 9);
+  });
+
+  it("does not move tasks into a closed sprint", async () => {
+    const result = await server.call("patch_task", {
+      task_id: 9,
+      sprint_id: 4,
+    });
+    assert.equal(result.isError, true);
+    assert.match(result.text, /sprint_id: спринт "Sprint 4" уже закрыт/);
+  });
+
+  it("allows only the transitions of the workflow", async () => {
+    const skip = await setStatus(3, "done");
+    assert.equal(skip.isError, true);
+    assert.match(
+      skip.text,
+      /переход todo → done запрещён, из "todo" можно перейти в: in_progress/
+    );
+    assert.equal(status(3), "todo");
+
+    for (const next of ["in_progress", "review", "done"]) {
+      assert.equal((await setStatus(3, next)).isError, false, next);
+    }
+    assert.equal(status(3), "done");
+  });
+
+  it("keeps a task open while its blockers are", async () => {
+    await setStatus(2, "in_progress");
+    await setStatus(2, "review");
+    const blocked = await setStatus(2, "done");
+    assert.equal(blocked.isError, true);
+    assert.match(
+      blocked.text,
+      /пока открыты блокирующие задачи #1 \(in_progress\)/
+    );
+
+    await setStatus(1, "review");
+    await setStatus(1, "done");
+    assert.equal((await setStatus(2, "done")).isError, false);
+  });
+});
+
+describe("PM server: workflow from tasks.json", () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer("mcp-pm-server.mjs", {
+      edit: {
+        tasks(data) {
+          data.workflow = {
+            transitions: { todo: ["done"], done: [] },
+            requireResolvedBlockers: [],
+          };
+        },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  it("follows the configured transitions", async () => {
+    // #7 waits for #3, which this workflow does not require to be done
+    const done = await server.call("update_task", {
+      task_id: 7,
+      status: "done",
+    });
+    assert.equal(done.isError, false);
+
+    const reopen = await server.call("update_task", {
+      task_id: 7,
+      status: "todo",
+    });
+    assert.match(reopen.text, /из "done" можно перейти в: —/);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createRedactor } from "../lib/redaction.mjs";
+
+const people = () => [{ id: 1, name: "Иван Петров" }];
+
+const record = {
+  id: 7,
+  note: "Ключ:\nsk-abcdef1234567890",
+  contact: "Почта:\nivan@example.com",
+  phone: "Телефон:\n+7 999 123-45-67",
+  author: "Автор:\nПетров",
+  messages: [{ text: "Пишет Иван Петров, телефон 8 (999) 123-45-67" }],
+};
+
+describe("createRedactor", () => {
+  it("leaves values alone when off", () => {
+    const redactor = createRedactor({ mode: "off", people });
+    assert.equal(redactor.enabled, false);
+    assert.equal(redactor.redactValue(record), record);
+  });
+
+  it("masks values that follow a newline", () => {
+    const redactor = createRedactor({ mode: "mask", people });
+    const redacted = redactor.redactValue(record);
+    assert.equal(redacted.note, "Ключ:\n[ключ скрыт]");
+    assert.equal(redacted.contact, "Почта:\n[email скрыт]");
+    assert.equal(redacted.phone, "Телефон:\n[телефон скрыт]");
+    assert.equal(redacted.author, "Автор:\n[имя скрыто]");
+    assert.equal(
+      redacted.messages[0].text,
+      "Пишет [имя скрыто], телефон [телефон скрыт]"
+    );
+    assert.equal(redacted.id, 7);
+  });
+
+  it("keeps pseudonyms stable and does not touch the input", () => {
+    const redactor = createRedactor({ mode: "pseudonymize", people });
+    const first = redactor.redactValue(record);
+    const second = redactor.redactValue(record);
+    assert.deepEqual(first, second);
+    assert.equal(first.contact, "Почта:\nuser1@redacted.invalid");
+    assert.equal(first.author, "Автор:\nКлиент-1");
+    assert.equal(record.contact, "Почта:\nivan@example.com");
+  });
+
+  it("produces JSON that parses back", () => {
+    for (const mode of ["mask", "pseudonymize"]) {
+      const redactor = createRedactor({ mode, people });
+      const text = JSON.stringify(redactor.redactValue(record), null, 2);
+      const parsed = JSON.parse(text);
+      assert.equal(parsed.id, 7);
+      assert.doesNotMatch(text, /sk-abcdef|ivan@|\+7|999|Петров/);
+    }
+  });
+
+  it("redacts only the enabled categories", () => {
+    const redactor = createRedactor({ mode: "mask", categories: ["emails"] });
+    assert.equal(
+      redactor.redactText("ivan@example.com, +7 999 123-45-67"),
+      "[email скрыт], +7 999 123-45-67"
+    );
+  });
+
+  it("matches a name of 3 letters only as a whole word", () => {
+    const redactor = createRedactor({
+      mode: "mask",
+      people: () => [{ id: 2, name: "Лев Толстой" }],
+    });
+    assert.equal(
+      redactor.redactText("Лев ушёл. Лето, лень и Левый берег; Толстому"),
+      "[имя скрыто] ушёл. Лето, лень и Левый берег; [имя скрыто]"
+    );
+  });
+});
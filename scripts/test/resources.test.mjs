@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { paginate } from "../lib/resources.mjs";
+
+const entries = Array.from({ length: 5 }, (_, i) => () => ({
+  uri: `pm://task/${i + 1}`,
+}));
+
+describe("paginate", () => {
+  it("walks all pages by nextCursor", () => {
+    const uris = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const page = paginate(entries, cursor, 2);
+      uris.push(...page.resources.map((r) => r.uri));
+      cursor = page.nextCursor;
+      pages++;
+    } while (cursor);
+    assert.equal(pages, 3);
+    assert.deepEqual(
+      uris,
+      entries.map((describe) => describe().uri)
+    );
+  });
+
+  it("omits nextCursor on the last page", () => {
+    assert.equal(paginate(entries, undefined, 5).nextCursor, undefined);
+  });
+
+  it("builds only the entries of the page", () => {
+    let built = 0;
+    const counted = entries.map((describe) => () => {
+      built++;
+      return describe();
+    });
+    paginate(counted, undefined, 2);
+    assert.equal(built, 2);
+  });
+
+  it("rejects a cursor it did not issue", () => {
+    assert.throws(() => paginate(entries, "zzz"), /Некорректный курсор/);
+    const beyond = Buffer.from("6").toString("base64url");
+    assert.throws(() => paginate(entries, beyond), /Некорректный курсор/);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseHunks } from "../lib/diff.mjs";
+import { planBatches } from "../lib/review-batches.mjs";
+
+// A hunk adding `count` lines of about 30 characters (~10 tokens) each
+function hunk(start, count) {
+  const lines = Array.from(
+    { length: count },
+    (_, i) => `+const value${start + i} = computeSomething(${i});`
+  );
+  return `@@ -${start},0 +${start},${count} @@\n${lines.join("\n")}`;
+}
+
+function file(path, ...hunks) {
+  return {
+    path,
+    status: "modified",
+    binary: false,
+    hunks: parseHunks(hunks.join("\n")),
+  };
+}
+
+const reviewedPaths = (batches) =>
+  batches.flat().map((f) => (f.part ? `${f.path} ${f.part}` : f.path));
+
+describe("planBatches", () => {
+  it("packs small files together", () => {
+    const { batches, skipped } = planBatches(
+      [file("a.kt", hunk(1, 5)), file("b.kt", hunk(1, 5))],
+      { batchTokens: 1000, maxFileTokens: 4000 }
+    );
+    assert.equal(batches.length, 1);
+    assert.deepEqual(reviewedPaths(batches), ["a.kt", "b.kt"]);
+    assert.deepEqual(skipped, []);
+  });
+
+  it("splits a file over maxFileTokens by hunk instead of skipping it", () => {
+    const big = file("big.kt", hunk(1, 50), hunk(100, 50), hunk(200, 50));
+    const { batches, skipped } = planBatches([big], {
+      batchTokens: 1000,
+      maxFileTokens: 1200,
+    });
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(reviewedPaths(batches), [
+      "big.kt 1/3",
+      "big.kt 2/3",
+      "big.kt 3/3",
+    ]);
+  });
+
+  it("skips only the hunks over maxFileTokens", () => {
+    const mixed = file("mixed.kt", hunk(1, 5), hunk(100, 200), hunk(400, 5));
+    const { batches, skipped } = planBatches([mixed], {
+      batchTokens: 1000,
+      maxFileTokens: 1200,
+    });
+    assert.deepEqual(
+      batches.flat().flatMap((f) => f.hunks.map((h) => h.lines[0].newLine)),
+      [1, 400]
+    );
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].path, "mixed.kt (строки 100–299)");
+    assert.match(skipped[0].reason, /при лимите 1200/);
+  });
+
+  it("skips files that are not worth reviewing", () => {
+    const { batches, skipped } = planBatches(
+      [
+        file("app.min.js", hunk(1, 5)),
+        { path: "logo.png", status: "added", binary: true, hunks: [] },
+      ],
+      { batchTokens: 1000, maxFileTokens: 4000 }
+    );
+    assert.equal(batches.length, 0);
+    assert.deepEqual(
+      skipped.map((s) => s.path),
+      ["app.min.js", "logo.png"]
+    );
+  });
+});
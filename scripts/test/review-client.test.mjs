@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createLlmProvider } from "../lib/llm.mjs";
+import {
+  mergeResults,
+  parseReviewResponse,
+  renderReport,
+} from "../lib/review-findings.mjs";
+
+const CLIENT = fileURLToPath(
+  new URL("../mcp-review-client.mjs", import.meta.url)
+);
+
+// What a model answers: JSON in a fence with text around it, one finding
+// without a message and one with an unknown severity
+const RESPONSE = `Вот результат ревью:
+
+\`\`\`json
+{
+  "summary": "Блокирующий вызов в корутине.",
+  "findings": [
+    {
+      "file": "b/src/App.kt",
+      "line": 2,
+      "severity": "error",
+      "rule": "Корутины",
+      "message": "runBlocking блокирует поток, используйте suspend-функцию."
+    },
+    { "file": "src/App.kt", "line": 3, "severity": "warning" },
+    {
+      "file": "src/App.kt",
+      "line": "x",
+      "severity": "critical",
+      "rule": "Именование",
+      "message": "Имя \`a\` ничего не говорит."
+    }
+  ]
+}
+\`\`\``;
+
+const REPORT = `Блокирующий вызов в корутине.
+
+Замечаний: 2 (🔴 Ошибка: 1, 🔵 Совет: 1)
+
+- **🔴 Ошибка · Корутины — \`src/App.kt:2\`**
+  runBlocking блокирует поток, используйте suspend-функцию.
+
+- **🔵 Совет · Именование — \`src/App.kt\`**
+  Имя \`a\` ничего не говорит.`;
+
+describe("review pipeline on the mock provider", () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "review-client-"));
+    const fixtures = join(dir, "fixtures");
+    mkdirSync(fixtures);
+    writeFileSync(join(fixtures, "default.txt"), RESPONSE);
+
+    // A repository whose feature branch adds src/App.kt on top of main
+    const repo = join(dir, "repo");
+    mkdirSync(join(repo, "docs"), { recursive: true });
+    const git = (...args) =>
+      execFileSync(
+        "git",
+        ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+        { cwd: repo, stdio: "pipe" }
+      );
+    git("init", "-q", "-b", "main");
+    writeFileSync(
+      join(repo, "docs/code-style.md"),
+      "# Стиль\n\nНе используйте runBlocking в корутинах.\n"
+    );
+    git("add", "-A");
+    git("commit", "-q", "-m", "docs");
+    git("checkout", "-q", "-b", "feature");
+    mkdirSync(join(repo, "src"));
+    writeFileSync(
+      join(repo, "src/App.kt"),
+      "fun main() {\n    runBlocking { load() }\n    val a = 1\n}\n"
+    );
+    git("add", "-A");
+    git("commit", "-q", "-m", "app");
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("parses, merges and renders the answers of the model", async () => {
+    const llm = createLlmProvider({
+      provider: "mock",
+      fixturesDir: join(dir, "fixtures"),
+    });
+    const log = console.log;
+    console.log = () => {};
+    let answers;
+    try {
+      // Two batches answered alike, as with a file split by hunks
+      answers = await Promise.all([
+        llm.chat([{ role: "user", content: "часть 1" }]),
+        llm.chat([{ role: "user", content: "часть 2" }]),
+      ]);
+    } finally {
+      console.log = log;
+    }
+    const result = mergeResults(answers.map(parseReviewResponse));
+    assert.equal(result.findings.length, 2);
+    assert.equal(result.rejected, 2);
+    assert.equal(renderReport(result), REPORT);
+  });
+
+  it("reviews a local branch with --local", () => {
+    const summary = join(dir, "summary.md");
+    const output = execFileSync(
+      process.execPath,
+      [CLIENT, "--local", "--base", "main"],
+      {
+        cwd: join(dir, "repo"),
+        env: {
+          ...process.env,
+          LLM_PROVIDER: "mock",
+          LLM_FIXTURES_DIR: join(dir, "fixtures"),
+          EMBEDDING_PROVIDER: "none",
+          REVIEW_INDEX: join(dir, "review-index.json"),
+          GITHUB_STEP_SUMMARY: summary,
+        },
+        encoding: "utf-8",
+        stdio: "pipe",
+        timeout: 60_000,
+      }
+    );
+    assert.match(output, /Batch 1\/1: files 1, findings 2/);
+    assert.equal(
+      readFileSync(summary, "utf-8"),
+      `## AI Code Review (MCP + RAG)\n\n${REPORT}\n`
+    );
+  });
+});
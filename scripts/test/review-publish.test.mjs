@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { parseHunks } from "../lib/diff.mjs";
+import { publishReview } from "../lib/review-publish.mjs";
+
+const BOT = "github-actions[bot]";
+
+// A diff of `path` adding `lines` starting at line `start`
+function files(start, lines, path = "src/App.kt") {
+  const patch = [
+    `@@ -${start},0 +${start},${lines.length} @@`,
+    ...lines.map((l) => `+${l}`),
+  ].join("\n");
+  return [{ path, status: "modified", hunks: parseHunks(patch) }];
+}
+
+const CODE = [
+  "val a = runBlocking { load() }",
+  "",
+  "val b = runBlocking { save() }",
+];
+const finding = {
+  file: "src/App.kt",
+  severity: "warning",
+  rule: "no-run-blocking",
+  message: "runBlocking блокирует поток",
+};
+
+// GitHub as the publisher sees it: the MCP tools through callTool, REST
+// through fetch. Review comments are served 100 per page.
+function fakeGithub() {
+  const github = {
+    reviewComments: [],
+    issueComments: [],
+    reviews: [],
+    patched: [],
+    created: [],
+  };
+  github.source = {
+    async callTool([name], args) {
+      const json = (value) => ({
+        content: [{ type: "text", text: JSON.stringify(value) }],
+      });
+      if (name === "get_pull_request") {
+        return json({ head: { sha: "0123456789" } });
+      }
+      if (name === "create_pull_request_review") {
+        github.reviews.push(args);
+        github.reviewComments.push(
+          ...args.comments.map((c) => ({ ...c, user: { login: BOT } }))
+        );
+        return json({ id: github.reviews.length });
+      }
+      if (name === "add_issue_comment") {
+        github.created.push(args.body);
+        github.issueComments.push({
+          id: 900,
+          body: args.body,
+          user: { login: BOT },
+        });
+        return json({});
+      }
+      throw new Error(`unexpected tool ${name}`);
+    },
+  };
+  github.fetch = async (url, options) => {
+    const { pathname, searchParams } = new URL(url);
+    if (options.method === "PATCH") {
+      github.patched.push(pathname);
+      return new Response("{}");
+    }
+    if (pathname === "/user") return new Response("{}", { status: 403 });
+    const list = pathname.includes("/pulls/")
+      ? github.reviewComments
+      : github.issueComments;
+    const page = Number(searchParams.get("page"));
+    return Response.json(list.slice((page - 1) * 100, page * 100));
+  };
+  return github;
+}
+
+function publish(github, diffFiles, findings) {
+  return publishReview({
+    source: github.source,
+    token: "token",
+    owner: "owner",
+    repo: "repo",
+    prNumber: 7,
+    files: diffFiles,
+    findings,
+    report: "Отчёт",
+  });
+}
+
+describe("publishReview", () => {
+  const realFetch = globalThis.fetch;
+  const realLog = console.log;
+  let github;
+
+  beforeEach(() => {
+    github = fakeGithub();
+    globalThis.fetch = github.fetch;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    console.log = realLog;
+  });
+
+  it("comments on every line a finding repeats on", async () => {
+    await publish(github, files(10, CODE), [
+      { ...finding, line: 10 },
+      { ...finding, line: 12 },
+    ]);
+    assert.deepEqual(
+      github.reviews[0].comments.map((c) => c.line),
+      [10, 12]
+    );
+  });
+
+  it("does not post again after the code moved", async () => {
+    // Earlier comments of others push the bot's ones to the second page
+    github.reviewComments.push(
+      ...Array.from({ length: 120 }, (_, i) => ({
+        body: `Комментарий ${i}`,
+        user: { login: "dev" },
+      }))
+    );
+    await publish(github, files(10, CODE), [
+      { ...finding, line: 10 },
+      { ...finding, line: 12 },
+    ]);
+    await publish(github, files(25, CODE), [
+      { ...finding, line: 25 },
+      { ...finding, line: 27 },
+    ]);
+    assert.equal(github.reviews.length, 1);
+  });
+
+  it("ignores markers quoted by other users", async () => {
+    await publish(github, files(10, CODE), [{ ...finding, line: 10 }]);
+    const [posted] = github.reviewComments;
+    const summary = github.issueComments[0];
+    github.reviewComments = [{ ...posted, user: { login: "dev" } }];
+    github.issueComments = [
+      { id: 1, body: `> ${summary.body}`, user: { login: "dev" } },
+      summary,
+    ];
+
+    await publish(github, files(10, CODE), [{ ...finding, line: 10 }]);
+    assert.equal(github.reviews.length, 2);
+    assert.deepEqual(github.patched, ["/repos/owner/repo/issues/comments/900"]);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createSqliteStore } from "../lib/sqlite-store.mjs";
+
+const MIGRATE = fileURLToPath(
+  new URL("../migrate-storage.mjs", import.meta.url)
+);
+const DATA_DIR = new URL("../../data/", import.meta.url);
+
+let sqliteAvailable = true;
+try {
+  await import("better-sqlite3");
+} catch {
+  sqliteAvailable = false;
+}
+
+function migrate(dir, ...args) {
+  execFileSync(process.execPath, [MIGRATE, ...args], {
+    env: { ...process.env, MCP_DATA_DIR: dir },
+    stdio: "pipe",
+  });
+}
+
+const skip = !sqliteAvailable && "better-sqlite3 is not installed";
+
+describe("migrate-storage", { skip }, () => {
+  let dir;
+  const originals = {};
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "migrate-storage-"));
+    for (const name of ["tasks", "crm"]) {
+      const data = JSON.parse(
+        readFileSync(new URL(`${name}.json`, DATA_DIR), "utf-8")
+      );
+      if (name === "tasks") {
+        // Sections the record tables do not take: repeated ids, a scalar,
+        // an empty array
+        data.extra = [{ id: 1 }, { id: 1, note: "дубль" }];
+        data.revision = 3;
+        data.archive = [];
+      }
+      originals[name] = data;
+      writeFileSync(join(dir, `${name}.json`), JSON.stringify(data, null, 2));
+    }
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("gives back identical JSON after json → sqlite → json", () => {
+    migrate(dir, "json", "sqlite");
+    for (const name of ["tasks", "crm"]) rmSync(join(dir, `${name}.json`));
+    migrate(dir, "sqlite", "json");
+    for (const name of ["tasks", "crm"]) {
+      assert.equal(
+        readFileSync(join(dir, `${name}.json`), "utf-8"),
+        JSON.stringify(originals[name], null, 2)
+      );
+    }
+  });
+
+  it("does not overwrite data without --force", () => {
+    assert.throws(() => migrate(dir, "json", "sqlite", "--only", "crm"));
+    migrate(dir, "json", "sqlite", "--only", "crm", "--force");
+  });
+});
+
+describe("createSqliteStore", { skip }, () => {
+  let dir;
+  let path;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "sqlite-store-"));
+    path = join(dir, "tasks.sqlite");
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const ids = (data) => data.tasks.map((t) => t.id);
+
+  it("keeps records in array order", async () => {
+    const store = await createSqliteStore(path);
+    store.save({ tasks: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+    store.save({ tasks: [{ id: 3 }, { id: 1 }, { id: 4 }, { id: 2 }] });
+    assert.deepEqual(ids(store.load()), [3, 1, 4, 2]);
+    assert.deepEqual(ids((await createSqliteStore(path)).load()), [
+      3, 1, 4, 2,
+    ]);
+  });
+
+  it("hands out copies that callers may change", async () => {
+    const store = await createSqliteStore(path);
+    store.load().tasks.push({ id: 99 });
+    assert.deepEqual(ids(store.load()), [3, 1, 4, 2]);
+  });
+
+  it("sees writes of other connections", async () => {
+    const reader = await createSqliteStore(path);
+    const writer = await createSqliteStore(path);
+    assert.deepEqual(ids(reader.load()), [3, 1, 4, 2]);
+    writer.save({ tasks: [{ id: 5 }] });
+    assert.deepEqual(ids(reader.load()), [5]);
+    reader.save({ tasks: [{ id: 5 }, { id: 6 }] });
+    assert.deepEqual(ids(reader.load()), [5, 6]);
+  });
+});
+
+describe("createSqliteStore on an older database", { skip }, () => {
+  it("keeps the insertion order of records without a position", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "sqlite-legacy-"));
+    const path = join(dir, "crm.sqlite");
+    const { default: Database } = await import("better-sqlite3");
+    const db = new Database(path);
+    db.exec(`
+      CREATE TABLE sections (name TEXT PRIMARY KEY, position INTEGER NOT NULL,
+        body TEXT);
+      CREATE TABLE records (section TEXT NOT NULL, id INTEGER NOT NULL,
+        body TEXT NOT NULL, PRIMARY KEY (section, id));
+      INSERT INTO sections VALUES ('tickets', 0, NULL);
+      INSERT INTO records VALUES ('tickets', 7, '{"id":7}');
+      INSERT INTO records VALUES ('tickets', 2, '{"id":2}');
+    `);
+    db.close();
+
+    const store = await createSqliteStore(path);
+    assert.deepEqual(store.load(), { tickets: [{ id: 7 }, { id: 2 }] });
+    rmSync(dir, { recursive: true, force: true });
+  });
+});
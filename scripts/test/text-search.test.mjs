@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  cosine,
+  createBm25Index,
+  editDistance,
+  highlight,
+  stem,
+  stems,
+  tfIdfVectors,
+  tokenize,
+} from "../lib/text-search.mjs";
+
+describe("tokenize", () => {
+  it("lowercases, splits on non-letters and folds ё", () => {
+    assert.deepEqual(tokenize("Ёлка, API-ключ v2!"), [
+      "елка",
+      "api",
+      "ключ",
+      "v2",
+    ]);
+  });
+
+  it("returns no tokens for empty input", () => {
+    assert.deepEqual(tokenize(undefined), []);
+    assert.deepEqual(tokenize("—"), []);
+  });
+});
+
+describe("stem", () => {
+  it("maps Russian word forms to one stem", () => {
+    const forms = ["интеграция", "интеграции", "интеграцией"];
+    assert.equal(new Set(forms.map(stem)).size, 1);
+    assert.equal(stem("тестов"), stem("тесты"));
+    assert.equal(stem("поиска"), stem("поиск"));
+  });
+
+  it("maps English word forms to one stem", () => {
+    assert.equal(stem("tests"), "test");
+    assert.equal(stem("testing"), "test");
+    assert.equal(stem("running"), "run");
+  });
+
+  it("keeps numbers as they are", () => {
+    assert.equal(stem("2024"), "2024");
+  });
+});
+
+describe("stems", () => {
+  it("drops stop words", () => {
+    assert.deepEqual(stems("и в на the of"), []);
+    assert.deepEqual(stems("ошибка в оплате"), [
+      stem("ошибка"),
+      stem("оплате"),
+    ]);
+  });
+});
+
+describe("editDistance", () => {
+  it("counts a transposition as one edit", () => {
+    assert.equal(editDistance("abcd", "abdc", 2), 1);
+  });
+
+  it("gives up above max", () => {
+    assert.equal(editDistance("kitten", "sitting", 5), 3);
+    assert.ok(editDistance("a", "abcdef", 2) > 2);
+  });
+});
+
+describe("createBm25Index", () => {
+  const index = createBm25Index(
+    [
+      { id: 1, fields: { title: "Интеграция с платёжным шлюзом", body: "" } },
+      { id: 2, fields: { title: "Тесты поиска", body: "интеграция" } },
+      { id: 3, fields: { title: "Дашборд", body: "графики" } },
+    ],
+    { title: 3, body: 1 }
+  );
+
+  it("ranks by field weight and skips documents without matches", () => {
+    const results = index.search("интеграции");
+    assert.deepEqual(results.map((r) => r.id), [1, 2]);
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  it("tolerates typos and reports the matched index terms", () => {
+    const [hit] = index.search("интеграцыя шлюза");
+    assert.equal(hit.id, 1);
+    assert.deepEqual(
+      hit.matchedTerms.sort(),
+      [stem("интеграция"), stem("шлюз")].sort()
+    );
+  });
+
+  it("ranks documents with every query word above partial matches", () => {
+    const results = index.search("интеграция шлюз");
+    assert.equal(results[0].id, 1);
+  });
+
+  it("restricts the search to the given ids", () => {
+    const results = index.search("интеграция", { ids: new Set([2]) });
+    assert.deepEqual(results.map((r) => r.id), [2]);
+  });
+
+  it("finds nothing for stop words only", () => {
+    assert.deepEqual(index.search("и в на"), []);
+    assert.equal(index.size, 3);
+  });
+});
+
+describe("tfIdfVectors", () => {
+  it("gives identical documents similarity 1 and unrelated ones 0", () => {
+    const vectors = tfIdfVectors([
+      { id: 1, fields: { text: "ошибка оплаты картой" } },
+      { id: 2, fields: { text: "ошибка оплаты картой" } },
+      { id: 3, fields: { text: "смена пароля" } },
+    ]);
+    assert.ok(Math.abs(cosine(vectors.get(1), vectors.get(2)) - 1) < 1e-9);
+    assert.equal(cosine(vectors.get(1), vectors.get(3)), 0);
+  });
+});
+
+describe("highlight", () => {
+  it("marks words by stem", () => {
+    assert.equal(
+      highlight("Не проходит оплата картой", [stem("оплаты")]),
+      "Не проходит **оплата** картой"
+    );
+  });
+
+  it("returns null without matches", () => {
+    assert.equal(highlight("Смена пароля", [stem("оплата")]), null);
+  });
+});
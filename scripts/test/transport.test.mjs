@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { rmSync } from "node:fs";
+import { request } from "node:http";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { copyData } from "./mcp-harness.mjs";
+
+const SERVER = fileURLToPath(new URL("../mcp-pm-server.mjs", import.meta.url));
+
+// GET /health with the given headers → { status, body }
+function get(port, headers) {
+  return new Promise((resolve, reject) => {
+    const req = request(
+      { host: "127.0.0.1", port, path: "/health", headers },
+      (res) => {
+        let body = "";
+        res.setEncoding("utf-8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      }
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+describe("HTTP transport", () => {
+  let dir;
+  let child;
+  let port;
+
+  before(async () => {
+    dir = copyData();
+    child = spawn(process.execPath, [SERVER, "--http", "--port", "0"], {
+      env: { ...process.env, MCP_STORAGE: "json", MCP_DATA_DIR: dir },
+      stdio: ["ignore", "ignore", "pipe"],
+    });
+    let log = "";
+    child.stderr.setEncoding("utf-8");
+    for await (const chunk of child.stderr) {
+      log += chunk;
+      const match = /listening on http:\/\/127\.0\.0\.1:(\d+)\//.exec(log);
+      if (match) {
+        port = Number(match[1]);
+        break;
+      }
+    }
+    assert.ok(port, `the server did not start:\n${log}`);
+    child.stderr.resume();
+  });
+
+  after(async () => {
+    if (child.exitCode === null) {
+      child.kill("SIGTERM");
+      await once(child, "exit");
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("answers requests to a local name", async () => {
+    for (const host of [`127.0.0.1:${port}`, `localhost:${port}`]) {
+      const { status, body } = await get(port, {
+        Host: host,
+        Origin: `http://localhost:${port}`,
+      });
+      assert.equal(status, 200);
+      assert.equal(JSON.parse(body).server, "pm-server");
+    }
+  });
+
+  it("rejects a foreign Host", async () => {
+    const { status, body } = await get(port, { Host: `evil.example:${port}` });
+    assert.equal(status, 403);
+    assert.match(JSON.parse(body).error.message, /Host evil\.example/);
+  });
+
+  it("rejects a foreign Origin", async () => {
+    const { status, body } = await get(port, {
+      Host: `localhost:${port}`,
+      Origin: "https://evil.example",
+    });
+    assert.equal(status, 403);
+    assert.match(JSON.parse(body).error.message, /Origin https:\/\/evil/);
+  });
+});
@@ -267,20 +267,16 @@ object SupportAssistant {
                         }
                     }
 
-                    // Если нет конкретного тикета, но вопрос похож на проблему — поиск по тикетам
+                    // Если нет конкретного тикета, но вопрос похож на проблему — поиск по тикетам.
+                    // Сервер сам учитывает словоформы и ранжирует, поэтому передаём вопрос целиком
                     if (ticketId == null) {
-                        val keywords = input.split(" ")
-                            .filter { it.length > 3 }
-                            .take(3)
-                        for (kw in keywords) {
-                            val searchResult = mcp.callTool("search_tickets", buildJsonObject {
-                                put("query", kw)
-                            })
-                            if (searchResult.isNotBlank() && !searchResult.contains("не найдены")) {
-                                crmContext += "\nПохожие тикеты (поиск по \"$kw\"):\n$searchResult\n"
-                                println("[MCP] Найдены похожие тикеты по запросу \"$kw\"")
-                                break
-                            }
+                        val searchResult = mcp.callTool("search_tickets", buildJsonObject {
+                            put("query", input)
+                            put("limit", 3)
+                        })
+                        if (searchResult.isNotBlank() && !searchResult.contains("не найдены")) {
+                            crmContext += "\nПохожие тикеты:\n$searchResult\n"
+                            println("[MCP] Найдены похожие тикеты")
                         }
                     }
 
@@ -20,6 +20,10 @@ fun extractStatus(input: String): String? {
     return match?.groupValues?.get(1)?.lowercase()
 }
 
+fun extractCommentText(input: String): String? {
+    return input.substringAfter(":", "").trim().takeIf { it.isNotBlank() }
+}
+
 fun extractAssigneeId(input: String): Int? {
     val match = Regex("""(?:assignee_id|исполнитель_id)\s*(\d+)""", RegexOption.IGNORE_CASE).find(input)
     return match?.groupValues?.get(1)?.toIntOrNull()
@@ -31,6 +35,7 @@ enum class ActionType {
     GET_TASK,
     CREATE_TASK,
     UPDATE_TASK,
+    ADD_COMMENT,
     LIST_TASKS,
     PROJECT_SUMMARY,
     GENERAL_QUESTION
@@ -42,6 +47,9 @@ fun detectAction(input: String): ActionType {
         lower.contains("создай задачу") || lower.contains("create task") ||
                 lower.contains("новая задача") || lower.contains("добавь задачу") -> ActionType.CREATE_TASK
 
+        (lower.contains("комментарий") || lower.contains("заметка") || lower.contains("comment")) &&
+                extractTaskId(input) != null -> ActionType.ADD_COMMENT
+
         (lower.contains("обнови") || lower.contains("update") || lower.contains("измени")) &&
                 (lower.contains("задач") || lower.contains("task")) -> ActionType.UPDATE_TASK
 
@@ -137,7 +145,7 @@ suspend fun parseCreateTaskParams(
   "title": "краткое название задачи",
   "description": "подробное описание",
   "priority": "low|medium|high|critical",
-  "assignee_id": число (ID члена команды),
+  "assignee_id": число (ID члена команды) или null, если исполнитель не указан,
   "deadline": "YYYY-MM-DD или null",
   "tags": ["тег1", "тег2"]
 }"""
@@ -154,6 +162,34 @@ suspend fun parseCreateTaskParams(
     }
 }
 
+// ---------- Подбор исполнителя через MCP ----------
+
+fun suggestAssignee(pmClient: McpClient, params: JsonObject): Int? {
+    val suggestArgs = buildJsonObject {
+        put("limit", 1)
+        val tags = params["tags"]
+        if (tags != null && tags is JsonArray) {
+            put("tags", tags)
+        }
+        val deadline = params["deadline"]
+        if (deadline != null && deadline !is JsonNull) {
+            put("deadline", deadline.jsonPrimitive.content)
+        }
+        val priority = params["priority"]
+        if (priority != null && priority !is JsonNull) {
+            put("priority", priority.jsonPrimitive.content)
+        }
+    }
+    val result = pmClient.callTool("suggest_assignee", suggestArgs)
+    return try {
+        Json.parseToJsonElement(result).jsonObject["candidates"]?.jsonArray
+            ?.firstOrNull()?.jsonObject?.get("memberId")?.jsonPrimitive?.intOrNull
+    } catch (e: Exception) {
+        println("[Ошибка] Не удалось подобрать исполнителя: ${e.message}")
+        null
+    }
+}
+
 // ---------- Main ----------
 
 object TeamAssistant {
@@ -218,6 +254,7 @@ object TeamAssistant {
                 println("    задача <ID>          — детали задачи")
                 println("    создай задачу: ...   — создать новую задачу")
                 println("    обнови задачу <ID>   — обновить задачу")
+                println("    комментарий к задаче <ID>: ... — заметка к задаче")
                 println("    <вопрос>             — вопрос о команде/проекте (RAG)")
                 println("    /index               — переиндексация документов")
                 println("    очистить             — сбросить историю диалога")
@@ -258,6 +295,11 @@ object TeamAssistant {
                                 })
                                 pmContext = "Детали задачи #$taskId:\n$data"
                                 println("[MCP PM] Загружена задача #$taskId")
+                                // Тикеты поддержки, которые исправляет задача
+                                val linked = crmClient.callTool("get_linked_items", buildJsonObject {
+                                    put("task_id", taskId)
+                                })
+                                pmContext += "\n\nСвязанные тикеты поддержки:\n$linked"
                             }
                         }
 
@@ -265,11 +307,15 @@ object TeamAssistant {
                             println("[LLM] Парсинг параметров задачи...")
                             val params = parseCreateTaskParams(input, deepseek, members)
                             if (params != null) {
+                                val assigneeId = params["assignee_id"]?.jsonPrimitive?.intOrNull
+                                    ?: suggestAssignee(pmClient, params)?.also {
+                                        println("[MCP PM] Исполнитель подобран автоматически: #$it")
+                                    }
                                 val createArgs = buildJsonObject {
                                     put("title", params["title"]?.jsonPrimitive?.content ?: "Без названия")
                                     put("description", params["description"]?.jsonPrimitive?.content ?: "")
                                     put("priority", params["priority"]?.jsonPrimitive?.content ?: "medium")
-                                    put("assignee_id", params["assignee_id"]?.jsonPrimitive?.intOrNull ?: 1)
+                                    put("assignee_id", assigneeId ?: 1)
                                     val deadline = params["deadline"]
                                     if (deadline != null && deadline !is JsonNull) {
                                         put("deadline", deadline.jsonPrimitive.content)
@@ -319,6 +365,23 @@ object TeamAssistant {
                             }
                         }
 
+                        ActionType.ADD_COMMENT -> {
+                            val taskId = extractTaskId(input)
+                            val text = extractCommentText(input)
+                            if (taskId != null && text != null) {
+                                val result = pmClient.callTool("add_comment", buildJsonObject {
+                                    put("task_id", taskId)
+                                    put("author", System.getProperty("user.name") ?: "team-assistant")
+                                    put("text", text)
+                                })
+                                actionResult = result
+                                pmContext = "Результат добавления комментария к задаче #$taskId:\n$result"
+                                println("[MCP PM] Комментарий добавлен к задаче #$taskId")
+                            } else {
+                                pmContext = "Не удалось извлечь текст комментария: используйте формат «комментарий к задаче <ID>: текст»."
+                            }
+                        }
+
                         ActionType.LIST_TASKS -> {
                             val listArgs = buildJsonObject {
                                 extractPriority(input)?.let { put("priority", it) }
@@ -367,6 +430,10 @@ object TeamAssistant {
                         })
                         crmContext += "\nДанные тикета #$ticketId:\n$ticketData\n"
                         println("[MCP CRM] Загружен тикет #$ticketId")
+                        val linkedTasks = crmClient.callTool("get_linked_items", buildJsonObject {
+                            put("ticket_id", ticketId)
+                        })
+                        crmContext += "\nСвязанные задачи PM:\n$linkedTasks\n"
                     }
 
                     // --- Формирование промпта ---